@@ -2,7 +2,9 @@
 
 // Helper function to apply stroke to vector nodes only
 // Only modifies existing strokes, does NOT add strokes to nodes that don't have them
-function applyStrokeToVectors(node, strokeWeight) {
+// When mainSourceWeight is given, strokeWeight is the new weight of the main stroke and
+// every other stroke is scaled by the same ratio (fine details stay thinner than outlines)
+function applyStrokeToVectors(node, strokeWeight, mainSourceWeight, rounding) {
   if (!strokeWeight || strokeWeight <= 0) {
     return; // Don't apply if weight is invalid
   }
@@ -15,8 +17,12 @@ function applyStrokeToVectors(node, strokeWeight) {
       // Only modify existing strokes, don't add new ones
       if ('strokes' in node && Array.isArray(node.strokes) && node.strokes.length > 0) {
         // Only update stroke weight if the node already has a stroke
-        if ('strokeWeight' in node) {
-          node.strokeWeight = strokeWeight;
+        // (mixed per-side weights are a symbol, not a number, and are left alone)
+        if ('strokeWeight' in node && typeof node.strokeWeight === 'number') {
+          const weight = mainSourceWeight > 0 && node.strokeWeight > 0
+            ? strokeWeight * (node.strokeWeight / mainSourceWeight)
+            : strokeWeight;
+          node.strokeWeight = roundStrokeWeight(weight, rounding);
         }
       }
       // If node doesn't have stroke, don't add one - leave it as is
@@ -28,11 +34,73 @@ function applyStrokeToVectors(node, strokeWeight) {
   // Recursively apply to children
   if ('children' in node && Array.isArray(node.children)) {
     node.children.forEach(child => {
-      applyStrokeToVectors(child, strokeWeight);
+      applyStrokeToVectors(child, strokeWeight, mainSourceWeight, rounding);
     });
   }
 }
 
+// Helper function to round a stroke weight to a step (e.g. 0.25 or 0.5)
+// Never rounds a visible stroke down to zero
+function roundStrokeWeight(weight, step) {
+  if (!step || step <= 0) {
+    return Math.round(weight * 1000) / 1000;
+  }
+  return Math.max(step, Math.round(weight / step) * step);
+}
+
+// Helper function to find the main stroke weight of an icon
+// The most common weight wins (usually the outline); ties go to the heavier weight
+function getMainStrokeWeight(node) {
+  const counts = new Map();
+
+  function collectWeights(n) {
+    if ('strokes' in n && Array.isArray(n.strokes) && n.strokes.length > 0 &&
+        'strokeWeight' in n && typeof n.strokeWeight === 'number' && n.strokeWeight > 0 &&
+        n.type !== 'FRAME' && n.type !== 'COMPONENT') {
+      counts.set(n.strokeWeight, (counts.get(n.strokeWeight) || 0) + 1);
+    }
+    if ('children' in n && Array.isArray(n.children)) {
+      n.children.forEach(collectWeights);
+    }
+  }
+
+  collectWeights(node);
+
+  let mainWeight = 0;
+  let mainCount = 0;
+  counts.forEach((count, weight) => {
+    if (count > mainCount || (count === mainCount && weight > mainWeight)) {
+      mainWeight = weight;
+      mainCount = count;
+    }
+  });
+  return mainWeight;
+}
+
+// Helper function to read a stroke weight off a user-defined curve
+// Points are linearly interpolated; sizes outside the curve use the nearest point
+function getCurveStrokeWeight(curve, size) {
+  const points = (curve || []).filter(p => p.size > 0 && p.stroke > 0).sort((a, b) => a.size - b.size);
+  if (points.length === 0) {
+    return 0;
+  }
+  if (size <= points[0].size) {
+    return points[0].stroke;
+  }
+  if (size >= points[points.length - 1].size) {
+    return points[points.length - 1].stroke;
+  }
+
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    if (size <= b.size) {
+      return a.stroke + (b.stroke - a.stroke) * (size - a.size) / (b.size - a.size);
+    }
+  }
+  return points[points.length - 1].stroke;
+}
+
 // Helper function to convert all strokes to outline in a node and its children
 function convertStrokesToOutline(node) {
   const vectorNodeTypes = ['VECTOR', 'LINE', 'ELLIPSE', 'RECTANGLE', 'POLYGON', 'STAR', 'BOOLEAN_OPERATION'];
@@ -134,551 +202,4499 @@ function convertStrokesToOutline(node) {
 }
 
 
-figma.showUI(__html__, { width: 400, height: 600 });
+// Plugin data keys used to link generated component sets back to their source icon
+const GENERATED_SET_KEY = 'supericons-set';
+const GENERATED_VARIANT_KEY = 'supericons-variant';
+// Set on a source icon (and so on every copy pasted from it) with the id of its generated set
+const SOURCE_ICON_KEY = 'supericons-source';
 
-// Load and send saved configuration to UI on startup
-(async () => {
-  try {
-    const savedConfig = await figma.clientStorage.getAsync('supericons-config');
-    if (savedConfig) {
-      figma.ui.postMessage({
-        type: 'load-config',
-        config: savedConfig
+// Client storage key for the list of named presets ({ name, config } entries)
+const PRESETS_KEY = 'supericons-presets';
+
+// How the artwork is scaled into each variant frame (see getArtworkPlacement)
+const FIT_MODES = ['proportional', 'fit', 'optical'];
+
+// Where the artwork sits in a frame that doesn't match its shape (see getArtworkPlacement)
+const ARTWORK_ALIGNMENTS = ['center', 'left', 'right', 'top', 'bottom', 'stretch'];
+
+// How stroke weights are derived for each variant (see getTargetStrokeWeight)
+const STROKE_MODES = ['manual', 'constant', 'proportional', 'curve'];
+const STROKE_ROUNDING_STEPS = [0, 0.25, 0.5];
+
+// What happens to the stroked version when strokes are outlined:
+// - replace: the outlined vector replaces it
+// - style-axis: both are generated, as Style=Stroke and Style=Outlined variants
+// - keep-source: it stays in each variant as a hidden, locked layer
+const OUTLINE_MODES = ['replace', 'style-axis', 'keep-source'];
+const STYLE_PROPERTY_NAME = 'Style';
+const STROKE_SOURCE_LAYER_NAME = 'Stroke source';
+
+// Variant property added when each color mapping becomes its own variant
+const COLOR_PROPERTY_NAME = 'Color';
+const HEX_COLOR_PATTERN = /^#[0-9A-F]{6}$/i;
+
+// Optical-size masters: versions of one icon drawn by hand for different sizes
+// A drawing is the master for the size in its name ("arrow@16") or the size set for it in the UI;
+// the masters grouped into one icon are recorded on the largest, which stands for the icon
+const MASTER_SIZE_KEY = 'supericons-master-size';
+const ICON_MASTERS_KEY = 'supericons-masters';
+const MASTER_NAME_PATTERN = /^(.*?)\s*@\s*(\d+(?:\.\d+)?)(?:px)?$/i;
+const MASTER_LIST_MAX = 20;
+
+// Search keywords entered for an icon in the panel (comma separated), stored on the icon
+const ICON_KEYWORDS_KEY = 'supericons-keywords';
+
+// Limits that keep the live preview quick on large selections and matrices
+const PREVIEW_MAX_ICONS = 4;
+const PREVIEW_MAX_VARIANTS = 24;
+// Where preview thumbnails are rendered, far away from anything on the page
+const PREVIEW_CANVAS_POSITION = { x: -100000, y: -100000 };
+
+// Helper function to calculate original content bounds (used to preserve padding)
+function getContentBounds(node) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+  if (node.type === 'FRAME' || node.type === 'GROUP') {
+    if (node.children && node.children.length > 0) {
+      node.children.forEach(child => {
+        try {
+          const bounds = getContentBounds(child);
+          if (bounds.minX !== Infinity) {
+            minX = Math.min(minX, bounds.minX);
+            minY = Math.min(minY, bounds.minY);
+            maxX = Math.max(maxX, bounds.maxX);
+            maxY = Math.max(maxY, bounds.maxY);
+          }
+        } catch (_e) {
+          // Skip if error
+        }
       });
     }
-  } catch (e) {
-    console.error('Error loading config:', e);
+  } else {
+    try {
+      const x = node.x || 0;
+      const y = node.y || 0;
+      const width = node.width || 0;
+      const height = node.height || 0;
+      minX = x;
+      minY = y;
+      maxX = x + width;
+      maxY = y + height;
+    } catch (_e) {
+      // Skip if error
+    }
   }
-})();
 
-// Check if there's a selection when plugin opens
-if (figma.currentPage.selection.length > 0) {
-  const selections = figma.currentPage.selection;
-  const selectionNames = selections.map(s => s.name);
-  figma.ui.postMessage({ 
-    type: 'selection-changed', 
-    hasSelection: true,
-    selectionNames: selectionNames,
-    selectionCount: selections.length
-  });
+  return { minX, minY, maxX, maxY };
 }
 
-// Listen for selection changes
-figma.on('selectionchange', () => {
-  if (figma.currentPage.selection.length > 0) {
-    const selections = figma.currentPage.selection;
-    const selectionNames = selections.map(s => s.name);
-    figma.ui.postMessage({ 
-      type: 'selection-changed', 
-      hasSelection: true,
-      selectionNames: selectionNames,
-      selectionCount: selections.length
-    });
-  } else {
-    figma.ui.postMessage({ 
-      type: 'selection-changed', 
-      hasSelection: false
-    });
+// Helper function to set constraints to SCALE recursively
+function setConstraintsToScale(node) {
+  try {
+    if ('constraints' in node && node.constraints) {
+      node.constraints = { horizontal: 'SCALE', vertical: 'SCALE' };
+    }
+    if ('constraintsHorizontal' in node) {
+      node.constraintsHorizontal = 'SCALE';
+    }
+    if ('constraintsVertical' in node) {
+      node.constraintsVertical = 'SCALE';
+    }
+    if ('children' in node && Array.isArray(node.children)) {
+      node.children.forEach(child => {
+        setConstraintsToScale(child);
+      });
+    }
+  } catch (_e) {
+    // Skip if error
   }
-});
+}
 
-figma.ui.onmessage = async (msg) => {
-  // Save configuration
-  if (msg.type === 'save-config') {
-    try {
-      await figma.clientStorage.setAsync('supericons-config', msg.config);
-    } catch (e) {
-      console.error('Error saving config:', e);
+// Shapes that can be outlined, and that are merged by outlineAndFlatten
+const SHAPE_NODE_TYPES = ['VECTOR', 'LINE', 'ELLIPSE', 'RECTANGLE', 'POLYGON', 'STAR', 'BOOLEAN_OPERATION', 'TEXT'];
+
+// Helper function to collect every shape with a visible stroke in a node and its children
+// Shapes inside a boolean operation are left to the boolean operation itself
+function collectNodesWithStrokes(node, nodes = []) {
+  if (SHAPE_NODE_TYPES.includes(node.type)) {
+    if ('strokes' in node && Array.isArray(node.strokes) && node.strokes.length > 0) {
+      if ('strokeWeight' in node && (node.strokeWeight > 0 || node.strokeWeight === figma.mixed)) {
+        nodes.push(node);
+      }
     }
-    return;
+    return nodes;
   }
-  
-  // Request saved configuration
-  if (msg.type === 'request-config') {
-    try {
-      const savedConfig = await figma.clientStorage.getAsync('supericons-config');
-      figma.ui.postMessage({
-        type: 'load-config',
-        config: savedConfig || null
-      });
-    } catch (e) {
-      console.error('Error loading config:', e);
-      figma.ui.postMessage({
-        type: 'load-config',
-        config: null
-      });
-    }
-    return;
+
+  if ('children' in node && Array.isArray(node.children)) {
+    node.children.forEach(child => {
+      collectNodesWithStrokes(child, nodes);
+    });
   }
-  
-  if (msg.type === 'create-component') {
+  return nodes;
+}
+
+// Helper function to convert every stroke in a node and its children to an outline
+// Returns the new root node (it only changes when the root itself was a stroked shape)
+// and the names of nodes whose stroke could not be outlined
+function outlineStrokes(rootNode) {
+  // outlineStroke() returns a new node with stroke converted to outline
+  const nodesToReplace = collectNodesWithStrokes(rootNode);
+  const unavailable = [];
+  console.log(`📊 Found ${nodesToReplace.length} nodes with strokes to convert`);
+
+  // Convert each node's stroke to outline
+  let root = rootNode;
+  nodesToReplace.forEach((node, index) => {
     try {
-      const variants = msg.variants;
-      const strokeEnabled = msg.strokeEnabled || false;
-      const outlineFlattenEnabled = msg.outlineFlattenEnabled || false;
-      let componentName = (msg.componentName || 'Icon Component').trim();
-      let propertyName = (msg.propertyName || 'Size').trim();
-      
-      // Validate inputs
-      if (!propertyName) {
-        figma.notify('Property name cannot be empty');
-        return;
-      }
-      
-      // Normalize names - ensure they're valid for Figma's naming convention
-      // Component and property names can have spaces, but we'll keep them as-is
-      // since Figma supports spaces in variant property names
-      componentName = componentName.trim();
-      propertyName = propertyName.trim();
-      
-      if (!variants || variants.length === 0) {
-        figma.notify('Please add at least one variant');
-        return;
-      }
-      
-      // Check if there's a selection
-      if (figma.currentPage.selection.length === 0) {
-        figma.notify('Please select at least one icon');
+      const outlinedNode = typeof node.outlineStroke === 'function' ? node.outlineStroke() : null;
+      if (!outlinedNode) {
+        unavailable.push(node.name || node.type);
+        console.warn(`⚠ [${index + 1}/${nodesToReplace.length}] outlineStroke not available for:`, node.type);
         return;
       }
-      
-      const selectedNodes = figma.currentPage.selection;
-      
-      // Track component sets to position them side by side
-      const createdComponentSets = [];
-      
-      // Process each selected icon
-      selectedNodes.forEach((selectedNode, nodeIndex) => {
-        try {
-          // Step 1: Get original dimensions from selected node (don't clone yet to avoid duplication)
-      const originalWidth = selectedNode.width;
-      const originalHeight = selectedNode.height;
-      const originalSize = Math.max(originalWidth, originalHeight);
-      
-      // Calculate original content bounds to preserve padding
-      function getContentBounds(node) {
-        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-        
-        if (node.type === 'FRAME' || node.type === 'GROUP') {
-          if (node.children && node.children.length > 0) {
-            node.children.forEach(child => {
-              try {
-                const bounds = getContentBounds(child);
-                if (bounds.minX !== Infinity) {
-                  minX = Math.min(minX, bounds.minX);
-                  minY = Math.min(minY, bounds.minY);
-                  maxX = Math.max(maxX, bounds.maxX);
-                  maxY = Math.max(maxY, bounds.maxY);
-                }
-              } catch (e) {
-                // Skip if error
-              }
-            });
-          }
-        } else {
-          try {
-            const x = node.x || 0;
-            const y = node.y || 0;
-            const width = node.width || 0;
-            const height = node.height || 0;
-            minX = x;
-            minY = y;
-            maxX = x + width;
-            maxY = y + height;
-          } catch (e) {
-            // Skip if error
-          }
-        }
-        
-        return { minX, minY, maxX, maxY };
+      // The outline should scale with the icon the same way the stroke did
+      if (node.constraints && 'constraints' in outlinedNode) {
+        outlinedNode.constraints = node.constraints;
       }
-      
-      // Calculate original padding (space around content) from selected node
-      const originalContentBounds = getContentBounds(selectedNode);
-      
-      // Step 2: Create variant components from the selected icon
-      const variantComponents = [];
-      
-      variants.forEach((variant) => {
-        // Step 1: Duplicate the frame that Figma marks
-        const variantIconClone = selectedNode.clone();
-        
-        // Step 2: Use the frame directly (we'll convert it to component later if needed)
-        // For now, we'll work with the frame as-is
-        let variantComponent;
-        
-        // Get original dimensions
-        const originalContentWidth = originalContentBounds.maxX - originalContentBounds.minX;
-        const originalContentHeight = originalContentBounds.maxY - originalContentBounds.minY;
-        const originalContentSize = Math.max(originalContentWidth, originalContentHeight);
-        
-        // Calculate scale factor
-        const scaleFactor = variant.size / originalSize;
-        console.log(`📐 Scale factor: ${scaleFactor.toFixed(3)} (${originalSize} -> ${variant.size})`);
-        
-        // Resize the duplicated frame to target size
-        // Figma will automatically scale the content proportionally
-        try {
-          variantIconClone.resize(variant.size, variant.size);
-          console.log(`✓ Resized duplicated frame to ${variantIconClone.width}x${variantIconClone.height}`);
-        } catch (e) {
-          console.error('Error resizing clone:', e);
-          figma.notify('Error resizing icon', { timeout: 2000 });
+
+      if (node === root) {
+        // The root itself was a shape: put the outline in its place
+        if (node.parent) {
+          node.parent.insertChild(node.parent.children.indexOf(node), outlinedNode);
         }
-        
-        // Apply stroke only if stroke is enabled AND variant has stroke value
-        // This will modify the stroke of vector nodes inside the icon
-        if (strokeEnabled && variant.stroke && variant.stroke > 0 && !isNaN(variant.stroke)) {
-          try {
-            applyStrokeToVectors(variantIconClone, variant.stroke);
-            console.log(`✓ Applied stroke ${variant.stroke} to variant`);
-          } catch (e) {
-            console.error('Error applying stroke:', e);
-            // Continue even if stroke application fails
+        outlinedNode.x = node.x;
+        outlinedNode.y = node.y;
+        node.remove();
+        root = outlinedNode;
+      } else if (node.parent) {
+        // Insert the outlined node at the same position as the original
+        const parent = node.parent;
+        const originalIndex = parent.children.indexOf(node);
+        if (originalIndex !== -1) {
+          parent.insertChild(originalIndex, outlinedNode);
+          // Keep the fill of a shape that has both a fill and a stroke
+          if (Array.isArray(node.fills) && node.fills.length > 0) {
+            node.strokes = [];
+          } else {
+            node.remove();
           }
-        } else {
-          // Don't touch stroke if not enabled
-          console.log('✓ Stroke not applied (stroke disabled or no stroke value)');
         }
-        
-        // Convert to outline stroke and flatten if enabled
-        if (outlineFlattenEnabled) {
-          console.log('🔄 Starting outline stroke conversion and flattening...');
-          
-          // Step 1: Convert all strokes to outline using outlineStroke()
-          // outlineStroke() returns a new node with stroke converted to outline
-          const vectorNodeTypes = ['VECTOR', 'LINE', 'ELLIPSE', 'RECTANGLE', 'POLYGON', 'STAR', 'BOOLEAN_OPERATION'];
-          const nodesToReplace = [];
-          
-          // First, collect all nodes with strokes that need to be converted
-          function collectNodesWithStrokes(node) {
-            if (vectorNodeTypes.includes(node.type)) {
-              if ('strokes' in node && Array.isArray(node.strokes) && node.strokes.length > 0) {
-                if ('strokeWeight' in node && node.strokeWeight > 0) {
-                  nodesToReplace.push(node);
-                }
-              }
-            }
-            
-            if ('children' in node && Array.isArray(node.children)) {
-              node.children.forEach(child => {
-                collectNodesWithStrokes(child);
-              });
-            }
-          }
-          
-          collectNodesWithStrokes(variantIconClone);
-          console.log(`📊 Found ${nodesToReplace.length} nodes with strokes to convert`);
-          
-          // Convert each node's stroke to outline
-          nodesToReplace.forEach((node, index) => {
-            try {
-              if (typeof node.outlineStroke === 'function') {
-                const outlinedNode = node.outlineStroke();
-                if (outlinedNode && node.parent) {
-                  // Insert the outlined node at the same position as the original
-                  const parent = node.parent;
-                  const originalIndex = parent.children.indexOf(node);
-                  if (originalIndex !== -1) {
-                    parent.insertChild(originalIndex, outlinedNode);
-                    // Remove the original node
-                    node.remove();
-                    console.log(`✓ [${index + 1}/${nodesToReplace.length}] Converted stroke to outline:`, node.type);
-                  }
-                }
-              } else {
-                console.warn(`⚠ [${index + 1}/${nodesToReplace.length}] outlineStroke not available for:`, node.type);
-              }
-            } catch (e) {
-              console.error(`❌ [${index + 1}/${nodesToReplace.length}] Error converting stroke:`, e);
-            }
-          });
-          
-          // Step 2: Flatten all vectors into one
-          console.log('🔄 Starting flatten operation...');
-          
-          // Flatten function that processes from bottom to top
-          function flattenRecursively(node) {
-            // Process children first (bottom-up approach)
-            if ('children' in node && Array.isArray(node.children) && node.children.length > 0) {
-              // Create a copy of children array to avoid issues during flattening
-              const children = [...node.children];
-              
-              // Recursively flatten children first
-              children.forEach(child => {
-                flattenRecursively(child);
-              });
-              
-              // After children are processed, flatten this node
-              if (node.type === 'GROUP') {
-                // GROUP nodes have the flatten() method
-                try {
-                  if (typeof node.flatten === 'function') {
-                    node.flatten();
-                    console.log('✓ Flattened GROUP:', node.name || 'unnamed');
-                  }
-                } catch (e) {
-                  console.error('❌ Error flattening GROUP:', e.message);
-                }
-              } else if (node.type === 'FRAME' && node.children.length > 0) {
-                // FRAME nodes don't have flatten(), use figma.flatten() instead
-                try {
-                  const childrenToFlatten = [...node.children];
-                  if (childrenToFlatten.length > 1) {
-                    // Use figma.flatten() to combine all children into one vector
-                    const flattened = figma.flatten(childrenToFlatten, node);
-                    console.log('✓ Flattened FRAME children:', node.name || 'unnamed');
-                  } else if (childrenToFlatten.length === 1) {
-                    // Only one child, no need to flatten
-                    console.log('✓ FRAME has only one child, no flatten needed');
-                  }
-                } catch (e) {
-                  console.error('❌ Error flattening FRAME:', e.message);
-                }
-              }
-            }
-          }
-          
-          // Start flattening from the root
-          flattenRecursively(variantIconClone);
-          
-          // Final flatten of root if it's still a group/frame
-          if (variantIconClone.type === 'GROUP') {
-            try {
-              if (typeof variantIconClone.flatten === 'function') {
-                variantIconClone.flatten();
-                console.log('✓ Flattened root GROUP');
-              }
-            } catch (e) {
-              console.error('❌ Error flattening root GROUP:', e);
-            }
-          } else if (variantIconClone.type === 'FRAME' && variantIconClone.children.length > 0) {
-            try {
-              const childrenToFlatten = [...variantIconClone.children];
-              if (childrenToFlatten.length > 1) {
-                const flattened = figma.flatten(childrenToFlatten, variantIconClone);
-                console.log('✓ Flattened root FRAME');
-              }
-            } catch (e) {
-              console.error('❌ Error flattening root FRAME:', e);
-            }
-          }
-          
-          console.log('✅ Completed outline stroke conversion and flattening');
-          figma.notify('✓ Converted strokes to outline and flattened vectors', { timeout: 2000 });
+      }
+      console.log(`✓ [${index + 1}/${nodesToReplace.length}] Converted stroke to outline:`, node.type);
+    } catch (e) {
+      unavailable.push(node.name || node.type);
+      console.error(`❌ [${index + 1}/${nodesToReplace.length}] Error converting stroke:`, e);
+    }
+  });
+
+  return { node: root, unavailable: unavailable };
+}
+
+// Helper function to convert strokes to outline and merge the result into one vector
+// Returns the new root node (it only changes when the root itself was a single shape)
+// and the names of nodes whose stroke could not be outlined
+function outlineAndFlatten(variantIconClone) {
+  console.log('🔄 Starting outline stroke conversion and flattening...');
+
+  // Step 1: Convert all strokes to outline
+  const outline = outlineStrokes(variantIconClone);
+  let root = outline.node;
+
+  // Step 2: Merge the shapes with a boolean union and flatten the union into one vector
+  // A union keeps each shape's own winding and fill rule, a plain flatten of separate shapes does not
+  console.log('🔄 Starting union + flatten operation...');
+
+  if ('children' in root) {
+    const shapes = [];
+    const collectShapes = node => {
+      node.children.forEach(child => {
+        if (child.visible === false) {
+          // Hidden layers would be merged into the visible outline
+          child.remove();
+        } else if (SHAPE_NODE_TYPES.includes(child.type)) {
+          shapes.push(child);
+        } else if ('children' in child) {
+          collectShapes(child);
         }
-        
-        // After processing, create component and move frame content directly (no extra frame layer)
-        try {
-          // Helper function to set constraints to SCALE recursively
-          function setConstraintsToScale(node) {
-            try {
-              if ('constraintsHorizontal' in node) {
-                node.constraintsHorizontal = 'SCALE';
-              }
-              if ('constraintsVertical' in node) {
-                node.constraintsVertical = 'SCALE';
-              }
-              if ('children' in node && Array.isArray(node.children)) {
-                node.children.forEach(child => {
-                  setConstraintsToScale(child);
-                });
-              }
-            } catch (e) {
-              // Skip if error
-            }
-          }
-          
-          // Create component with the target size
-          variantComponent = figma.createComponent();
-          variantComponent.resize(variant.size, variant.size);
-          
-          if (variantIconClone.type === 'FRAME') {
-            // Move frame's children directly to component (no frame layer!)
-            if (variantIconClone.children.length > 0) {
-              const children = [...variantIconClone.children];
-              
-              // Move each child directly to component, preserving positions and sizes
-              children.forEach(child => {
-                try {
-                  const currentX = child.x || 0;
-                  const currentY = child.y || 0;
-                  
-                  variantComponent.appendChild(child);
-                  
-                  // Restore position (relative to component now)
-                  child.x = currentX;
-                  child.y = currentY;
-                  
-                  // Set constraints to SCALE
-                  setConstraintsToScale(child);
-                } catch (e) {
-                  console.error('Error moving child from frame:', e);
-                }
-              });
-              
-              // Remove the empty frame
-              variantIconClone.remove();
-              
-              console.log(`✓ Moved ${children.length} children directly to component (no frame layer)`);
-            } else {
-              variantIconClone.remove();
-            }
-          } else {
-            // If it's not a frame, add it directly
-            variantComponent.appendChild(variantIconClone);
-            variantIconClone.x = 0;
-            variantIconClone.y = 0;
-            setConstraintsToScale(variantIconClone);
-          }
-        } catch (e) {
-          console.error('Error processing variant icon:', e);
-          figma.notify('Error processing icon', { timeout: 2000 });
-        }
-        
-        // Name the component using Figma's variant naming convention
-        // Format: PropertyName=VariantValue (not ComponentName=PropertyName=VariantValue)
-        // The component set name is set separately
-        variantComponent.name = `${propertyName}=${variant.name}`;
-        
-        variantComponents.push(variantComponent);
       });
-      
-      // Step 3: Add all variant components to the page as siblings
-      // combineAsVariants requires components to be siblings (same parent)
-      variantComponents.forEach((component, index) => {
-        figma.currentPage.appendChild(component);
-        // Position components horizontally
-        // All components of the same icon should be positioned together
-        // The component set will be positioned side by side later
-        const baseY = selectedNode.y + selectedNode.height + 50;
-        if (index === 0) {
-          // First component of this icon
-          component.x = selectedNode.x;
-          component.y = baseY;
-        } else {
-          // Subsequent components of same icon - position horizontally
-          const prevComponent = variantComponents[index - 1];
-          component.x = prevComponent.x + prevComponent.width + 16;
-          component.y = prevComponent.y;
+    };
+    collectShapes(root);
+
+    try {
+      if (shapes.length > 1) {
+        const union = figma.union(shapes, root);
+        figma.flatten([union], root);
+        console.log(`✓ Merged ${shapes.length} shapes with a union and flattened them`);
+      } else if (shapes.length === 1 && shapes[0].type !== 'VECTOR') {
+        figma.flatten(shapes, root);
+        console.log('✓ Flattened the only shape');
+      }
+    } catch (e) {
+      console.error('❌ Error merging shapes:', e);
+    }
+
+    // Groups emptied by the union are left behind
+    const removeEmptyGroups = node => {
+      [...node.children].forEach(child => {
+        if (child.type === 'GROUP' || child.type === 'FRAME') {
+          removeEmptyGroups(child);
+          if (child.type === 'GROUP' && child.children.length === 0) {
+            child.remove();
+          }
         }
       });
-      
-      // Step 4: Create a component set by combining the variants
-      // combineAsVariants combines sibling components into a component set
-      let componentSet;
+    };
+    removeEmptyGroups(root);
+  } else if (root.type !== 'VECTOR') {
+    try {
+      root = figma.flatten([root], root.parent || figma.currentPage);
+    } catch (e) {
+      console.error('❌ Error flattening root shape:', e);
+    }
+  }
+
+  console.log('✅ Completed outline stroke conversion and flattening');
+
+  return { node: root, unavailable: outline.unavailable };
+}
+
+// Work out the weight of the main stroke for a variant
+// A stroke typed on one of the variant's values always wins; otherwise the stroke mode decides:
+// - manual: no typed stroke means the stroke is left untouched
+// - constant: keep the source weight so the stroke looks the same at every size
+// - proportional: scale the source weight with the icon
+// - curve: read the weight for the variant size off the user-defined curve
+function getTargetStrokeWeight(variant, settings, mainSourceWeight, scaleFactor) {
+  if (variant.stroke > 0) {
+    return variant.stroke;
+  }
+
+  switch (settings.strokeMode) {
+    case 'constant':
+      return mainSourceWeight;
+    case 'proportional':
+      return mainSourceWeight * scaleFactor;
+    case 'curve':
+      return getCurveStrokeWeight(settings.strokeCurve, variant.size);
+    default:
+      return 0;
+  }
+}
+
+// Helper function to snap a coordinate to whole pixels, or to half pixels with offset 0.5
+function snapToGrid(value, offset) {
+  return Math.round(value - offset) + offset;
+}
+
+// Helper function to pick the pixel grid for a node
+// A centered stroke with an odd weight (1px, 3px) only has crisp edges when its path sits on
+// a half pixel; everything else (fills, even or inside/outside strokes) snaps to whole pixels
+function getPixelGridOffset(node) {
+  const hasCenteredStroke = 'strokes' in node && Array.isArray(node.strokes) &&
+    node.strokes.some(paint => paint.visible !== false) &&
+    typeof node.strokeWeight === 'number' && node.strokeWeight > 0 &&
+    (node.strokeAlign === undefined || node.strokeAlign === 'CENTER');
+
+  return hasCenteredStroke && Math.round(node.strokeWeight) % 2 === 1 ? 0.5 : 0;
+}
+
+// Snap the geometry inside a resized icon to the pixel grid
+// Shapes snap their position and size, vectors snap every vertex of their network.
+// Rotated or mirrored nodes are skipped. Returns how far things moved (or would move with dryRun)
+async function snapToPixelGrid(root, dryRun) {
+  const snappableShapeTypes = ['RECTANGLE', 'ELLIPSE', 'POLYGON', 'STAR', 'LINE', 'FRAME'];
+  const rootTransform = root.absoluteTransform;
+  const result = { points: 0, maxShift: 0, totalShift: 0 };
+
+  function recordShift(dx, dy) {
+    const shift = Math.sqrt(dx * dx + dy * dy);
+    if (shift > 0.0001) {
+      result.points++;
+      result.totalShift += shift;
+      result.maxShift = Math.max(result.maxShift, shift);
+    }
+  }
+
+  async function snapNode(node) {
+    const transform = node.absoluteTransform;
+    const isAxisAligned = Math.abs(transform[0][1]) < 0.0001 && Math.abs(transform[1][0]) < 0.0001 &&
+      transform[0][0] > 0 && transform[1][1] > 0;
+    // Position of the node inside the icon frame
+    const offsetX = transform[0][2] - rootTransform[0][2];
+    const offsetY = transform[1][2] - rootTransform[1][2];
+    const gridOffset = getPixelGridOffset(node);
+
+    if (isAxisAligned && node.type === 'VECTOR' && node.vectorNetwork) {
       try {
-        // Check if combineAsVariants is available
-        if (typeof figma.combineAsVariants === 'function') {
-          // combineAsVariants takes an array of components and a parent
-          // It returns a ComponentSetNode
-          componentSet = figma.combineAsVariants(variantComponents, figma.currentPage);
-          
-          // Set the name of the component set (add index if multiple icons)
-          const setName = selectedNodes.length > 1 
-            ? `${componentName} ${nodeIndex + 1}` 
-            : componentName;
-          componentSet.name = setName;
-          
-          // Configure padding and layout for the component set
-          // Component sets can have auto-layout properties
-          if ('layoutMode' in componentSet) {
-            componentSet.layoutMode = 'HORIZONTAL';
-            componentSet.itemSpacing = 16;
-            // Increase padding significantly
-            componentSet.paddingLeft = 24;
-            componentSet.paddingRight = 24;
-            componentSet.paddingTop = 24;
-            componentSet.paddingBottom = 24;
-            componentSet.counterAxisSizingMode = 'AUTO';
-          }
-          
-          // Position the component set side by side with previous ones
-          const baseY = selectedNode.y + selectedNode.height + 50;
-          if (nodeIndex === 0) {
-            // First component set
-            componentSet.x = selectedNode.x;
-            componentSet.y = baseY;
-          } else {
-            // Position next to previous component set
-            const prevComponentSet = createdComponentSets[nodeIndex - 1];
-            componentSet.x = prevComponentSet.x + prevComponentSet.width + 50; // 50px spacing between sets
-            componentSet.y = baseY;
-          }
-          
-          // Store this component set for next positioning
-          createdComponentSets.push(componentSet);
-          
-          // Try to apply stroke directly to component set
-          // Note: ComponentSetNode may not support strokes in the API
-          try {
-            // Attempt to apply purple dashed border directly
-            if ('strokes' in componentSet && Array.isArray(componentSet.strokes)) {
-              componentSet.strokes = [{
-                type: 'SOLID',
-                color: { r: 0x97 / 255, g: 0x47 / 255, b: 0xFF / 255 }
-              }];
-              componentSet.strokeWeight = 2;
-              componentSet.dashPattern = [8, 4];
-              componentSet.strokeAlign = 'INSIDE';
-            }
-          } catch (e) {
-            // ComponentSetNode doesn't support strokes directly
-            // This is a limitation of the Figma API
-            console.log('ComponentSetNode does not support strokes:', e);
+        let moved = false;
+        const vertices = node.vectorNetwork.vertices.map(vertex => {
+          const x = snapToGrid(offsetX + vertex.x, gridOffset) - offsetX;
+          const y = snapToGrid(offsetY + vertex.y, gridOffset) - offsetY;
+          if (x !== vertex.x || y !== vertex.y) {
+            moved = true;
+            recordShift(x - vertex.x, y - vertex.y);
           }
-          
-          // Select the component set
-          figma.currentPage.selection = [componentSet];
-          figma.viewport.scrollAndZoomIntoView([componentSet]);
-        } else {
-          // Fallback: components are created but user needs to combine manually
-          figma.currentPage.selection = variantComponents;
-          figma.viewport.scrollAndZoomIntoView(variantComponents);
-          figma.notify('Components created. Please select them and use "Combine as Variants" from the context menu.');
-          figma.closePlugin();
-          return;
+          return Object.assign({}, vertex, { x: x, y: y });
+        });
+
+        if (moved && !dryRun) {
+          await node.setVectorNetworkAsync(Object.assign({}, node.vectorNetwork, { vertices: vertices }));
         }
-      } catch (error) {
-        // If combineAsVariants fails, show error and select components
-        console.error('Error combining variants:', error);
-        figma.currentPage.selection = variantComponents;
-        figma.viewport.scrollAndZoomIntoView(variantComponents);
-        figma.notify(`Error: ${error.message}. Please select components and use "Combine as Variants" manually.`);
-        figma.closePlugin();
-        return;
+      } catch (e) {
+        console.error('Error snapping vector network:', node.name, e);
       }
-      
-        } catch (nodeError) {
-          console.error(`Error processing icon ${nodeIndex + 1}:`, nodeError);
-          figma.notify(`Error processing icon ${nodeIndex + 1}: ${nodeError.message}`, { timeout: 3000 });
+    } else if (isAxisAligned && snappableShapeTypes.includes(node.type)) {
+      try {
+        const dx = snapToGrid(offsetX, gridOffset) - offsetX;
+        const dy = snapToGrid(offsetY, gridOffset) - offsetY;
+        if (!dryRun) {
+          node.x += dx;
+          node.y += dy;
         }
-      });
-      
-      // Save configuration (only once, after processing all icons)
-      figma.clientStorage.setAsync('supericons-config', {
-        componentName: componentName,
-        propertyName: propertyName,
-        variants: variants,
-        outlineFlattenEnabled: outlineFlattenEnabled
-      }).catch(e => {
-        console.error('Error saving config:', e);
-      });
-      
-      // Show success message
-      if (selectedNodes.length === 1) {
-        figma.notify(`Component set "${componentName}" created with ${variants.length} variants`);
-      } else {
-        figma.notify(`Created ${selectedNodes.length} component sets with ${variants.length} variants each`);
+        recordShift(dx, dy);
+
+        // Whole-pixel sizes keep both edges on the same grid as the position
+        const width = Math.max(1, Math.round(node.width));
+        const height = node.type === 'LINE' ? 0 : Math.max(1, Math.round(node.height));
+        if (width !== node.width || height !== node.height) {
+          recordShift(width - node.width, height - node.height);
+          if (!dryRun) {
+            node.resize(width, height);
+          }
+        }
+      } catch (e) {
+        console.error('Error snapping node:', node.name, e);
+      }
+    }
+
+    if ('children' in node && Array.isArray(node.children)) {
+      for (const child of node.children) {
+        await snapNode(child);
       }
-      // Plugin stays open so user can create more components
-    } catch (error) {
-      figma.notify(`Error: ${error.message}`);
-      console.error('Error creating component set:', error);
     }
   }
-  
-  if (msg.type === 'cancel') {
-    figma.closePlugin();
+
+  if ('children' in root && Array.isArray(root.children)) {
+    for (const child of root.children) {
+      await snapNode(child);
+    }
   }
-};
+
+  return result;
+}
+
+// Helper function to get the bounds of the artwork inside an icon, relative to the icon
+// For a frame this is the space its content covers (the rest is padding); any other node
+// is its own artwork
+function getArtworkBounds(node) {
+  if (node.type === 'FRAME') {
+    const bounds = getContentBounds(node);
+    if (bounds.minX !== Infinity && bounds.maxX > bounds.minX && bounds.maxY > bounds.minY) {
+      return bounds;
+    }
+  }
+  return { minX: 0, minY: 0, maxX: node.width, maxY: node.height };
+}
+
+// Helper function to get the frame size of a variant for a given source icon
+// An explicit width × height is used as is; a single size is the longest side and the
+// other side follows the source's aspect ratio (rounded to whole pixels)
+function getVariantFrameSize(sourceNode, variant) {
+  if (variant.width > 0 && variant.height > 0) {
+    return { width: variant.width, height: variant.height };
+  }
+
+  const aspectRatio = sourceNode.width / sourceNode.height;
+  if (!isFinite(aspectRatio) || aspectRatio <= 0 || aspectRatio === 1) {
+    return { width: variant.size, height: variant.size };
+  }
+  return aspectRatio > 1
+    ? { width: variant.size, height: Math.max(1, Math.round(variant.size / aspectRatio)) }
+    : { width: Math.max(1, Math.round(variant.size * aspectRatio)), height: variant.size };
+}
+
+// Work out where the artwork goes in a variant frame and how much it is scaled
+// The fit mode decides what counts as the artwork and the area it is fitted into:
+// - proportional: the whole source frame fills the variant frame, so the padding stays proportional
+// - fit: the artwork is scaled to fill the live area (the frame minus the variant's padding)
+// - optical: the artwork keeps its original size and only the frame changes
+// The alignment then places it in that area: centered, against an edge, or stretched to fill it
+function getArtworkPlacement(sourceNode, variant, settings) {
+  const frame = getVariantFrameSize(sourceNode, variant);
+  const padding = settings.fitMode === 'fit' ? variant.padding || 0 : 0;
+  const box = settings.fitMode === 'fit' || settings.fitMode === 'optical'
+    ? getArtworkBounds(sourceNode)
+    : { minX: 0, minY: 0, maxX: sourceNode.width, maxY: sourceNode.height };
+  const boxWidth = box.maxX - box.minX;
+  const boxHeight = box.maxY - box.minY;
+  const area = {
+    x: padding,
+    y: padding,
+    width: Math.max(0, frame.width - 2 * padding),
+    height: Math.max(0, frame.height - 2 * padding)
+  };
+
+  let scaleX = 1;
+  let scaleY = 1;
+  if (settings.fitMode !== 'optical' && boxWidth > 0 && boxHeight > 0) {
+    scaleX = area.width / boxWidth;
+    scaleY = area.height / boxHeight;
+    if (settings.artworkAlign !== 'stretch') {
+      scaleX = scaleY = Math.min(scaleX, scaleY);
+    }
+  }
+
+  const align = settings.artworkAlign || 'center';
+  const freeX = area.width - boxWidth * scaleX;
+  const freeY = area.height - boxHeight * scaleY;
+  const offsetX = align === 'left' ? 0 : align === 'right' ? freeX : freeX / 2;
+  const offsetY = align === 'top' ? 0 : align === 'bottom' ? freeY : freeY / 2;
+
+  return {
+    frame: frame,
+    box: box,
+    liveArea: area,
+    scaleX: scaleX,
+    scaleY: scaleY,
+    // Where the source's top-left corner ends up inside the variant frame
+    x: area.x + offsetX - box.minX * scaleX,
+    y: area.y + offsetY - box.minY * scaleY
+  };
+}
+
+// Scale a clone and place its artwork in a frame of the variant size
+// Frames are scaled with their content, then resized without scaling it again and the
+// content is moved into place; other nodes are just scaled and positioned
+// (fillVariantComponent keeps that position when it moves them into the component)
+function placeArtwork(variantIconClone, placement) {
+  // Figma scales the content along with the frame
+  variantIconClone.resize(variantIconClone.width * placement.scaleX, variantIconClone.height * placement.scaleY);
+
+  if (variantIconClone.type !== 'FRAME') {
+    variantIconClone.x = placement.x;
+    variantIconClone.y = placement.y;
+    return;
+  }
+
+  variantIconClone.resizeWithoutConstraints(placement.frame.width, placement.frame.height);
+  if (placement.x !== 0 || placement.y !== 0) {
+    variantIconClone.children.forEach(child => {
+      child.x += placement.x;
+      child.y += placement.y;
+    });
+  }
+}
+
+// Helper function to turn a solid paint's color into an uppercase #RRGGBB hex string
+function getPaintHex(color) {
+  const toHex = channel => Math.round(Math.min(1, Math.max(0, channel)) * 255).toString(16).padStart(2, '0');
+  return `#${toHex(color.r)}${toHex(color.g)}${toHex(color.b)}`.toUpperCase();
+}
+
+// Helper function to count the visible solid colors used by fills and strokes in a node and its children
+function collectSolidColors(node, counts) {
+  ['fills', 'strokes'].forEach(field => {
+    const paints = node[field];
+    if (Array.isArray(paints)) {
+      paints.forEach(paint => {
+        if (paint.type === 'SOLID' && paint.visible !== false) {
+          const hex = getPaintHex(paint.color);
+          counts.set(hex, (counts.get(hex) || 0) + 1);
+        }
+      });
+    }
+  });
+
+  if ('children' in node && Array.isArray(node.children) && node.type !== 'INSTANCE') {
+    node.children.forEach(child => collectSolidColors(child, counts));
+  }
+  return counts;
+}
+
+// Local color variables and paint styles that icon colors can be bound to
+// Token ids are prefixed with their kind ("variable:" or "style:") so both fit in one list
+async function getColorTokens() {
+  const tokens = [];
+
+  const variables = await figma.variables.getLocalVariablesAsync('COLOR');
+  variables.forEach(variable => {
+    const value = variable.valuesByMode ? Object.values(variable.valuesByMode)[0] : null;
+    tokens.push({
+      id: `variable:${variable.id}`,
+      name: variable.name,
+      kind: 'variable',
+      color: value && typeof value.r === 'number' ? getPaintHex(value) : null
+    });
+  });
+
+  const styles = await figma.getLocalPaintStylesAsync();
+  styles.forEach(style => {
+    const paint = Array.isArray(style.paints) && style.paints.length === 1 ? style.paints[0] : null;
+    tokens.push({
+      id: `style:${style.id}`,
+      name: style.name,
+      kind: 'style',
+      color: paint && paint.type === 'SOLID' ? getPaintHex(paint.color) : null
+    });
+  });
+
+  return tokens;
+}
+
+// Helper function to look up the variables and styles a list of { color, token } bindings points to
+// Returns a map of source hex color to { variable } or { style }; missing tokens are left out
+async function resolveColorTokens(bindings, missing) {
+  const resolved = new Map();
+  for (const binding of bindings) {
+    const separator = binding.token.indexOf(':');
+    const kind = binding.token.slice(0, separator);
+    const id = binding.token.slice(separator + 1);
+    const token = kind === 'variable'
+      ? { variable: await figma.variables.getVariableByIdAsync(id) }
+      : { style: await figma.getStyleByIdAsync(id) };
+
+    if (token.variable || token.style) {
+      resolved.set(binding.color, token);
+    } else {
+      missing.push(`${binding.tokenName || binding.token} (for ${binding.color})`);
+    }
+  }
+  return resolved;
+}
+
+// Bind the solid colors of a rendered variant to color variables or paint styles
+// A variable is bound to each matching paint; a style replaces the whole fill or stroke list,
+// so it is only applied where that list is a single matching paint.
+// Returns notes about colors that could not be bound
+async function applyColorBindings(root, bindings) {
+  const notes = [];
+  const missing = [];
+  const tokens = await resolveColorTokens(bindings, missing);
+  const skippedStyles = new Set();
+
+  if (missing.length > 0) {
+    notes.push(`Color token no longer exists: ${missing.join(', ')}`);
+  }
+
+  async function bindNode(node) {
+    for (const field of ['fills', 'strokes']) {
+      const paints = node[field];
+      if (!Array.isArray(paints) || paints.length === 0) {
+        continue;
+      }
+
+      const single = paints.length === 1 && paints[0].type === 'SOLID' ? tokens.get(getPaintHex(paints[0].color)) : null;
+      if (single && single.style) {
+        if (field === 'fills') {
+          await node.setFillStyleIdAsync(single.style.id);
+        } else {
+          await node.setStrokeStyleIdAsync(single.style.id);
+        }
+        continue;
+      }
+
+      let changed = false;
+      const boundPaints = paints.map(paint => {
+        const token = paint.type === 'SOLID' ? tokens.get(getPaintHex(paint.color)) : null;
+        if (!token) {
+          return paint;
+        }
+        if (token.style) {
+          skippedStyles.add(getPaintHex(paint.color));
+          return paint;
+        }
+        changed = true;
+        return figma.variables.setBoundVariableForPaint(paint, 'color', token.variable);
+      });
+      if (changed) {
+        node[field] = boundPaints;
+      }
+    }
+
+    if ('children' in node && Array.isArray(node.children)) {
+      for (const child of node.children) {
+        await bindNode(child);
+      }
+    }
+  }
+
+  await bindNode(root);
+
+  if (skippedStyles.size > 0) {
+    notes.push(`Style not applied to layers with several paints: ${Array.from(skippedStyles).join(', ')}`);
+  }
+  return notes;
+}
+
+// Helper function to get the color bindings of a variant
+// With the Color axis each variant has its own; otherwise the first mapping applies to all of them
+function getColorBindings(variant, settings) {
+  if (!settings.colorEnabled) {
+    return null;
+  }
+  if (variant.colorBindings) {
+    return variant.colorBindings;
+  }
+  return settings.colorMappings.length > 0 ? settings.colorMappings[0].bindings : null;
+}
+
+// Helper function to get the size a drawing is the master for (null if it isn't a master)
+function getMasterSize(node) {
+  const manualSize = parseFloat(node.getPluginData(MASTER_SIZE_KEY));
+  if (manualSize > 0) {
+    return manualSize;
+  }
+  const match = MASTER_NAME_PATTERN.exec(node.name);
+  return match ? parseFloat(match[2]) : null;
+}
+
+// Helper function to get the name of an icon: masters are named without their size ("arrow@16" -> "arrow")
+function getIconName(node) {
+  const match = MASTER_NAME_PATTERN.exec(node.name);
+  return match && match[1] && getMasterSize(node) ? match[1] : node.name;
+}
+
+// Group the masters of the same icon (same name without the size) among the given nodes
+// Returns one node per icon in icons, in selection order: the largest master for icons with several,
+// and for those the IDs of all their masters in masterIds (keyed by that node). Other nodes are kept as they are.
+// Nothing is written to the document; recordIconMasters does that when a set is generated
+function groupIconMasters(nodes) {
+  const groups = new Map();
+  const icons = [];
+
+  nodes.forEach(node => {
+    const size = getMasterSize(node);
+    if (!size) {
+      icons.push(node);
+      return;
+    }
+    const name = getIconName(node);
+    if (!groups.has(name)) {
+      groups.set(name, []);
+      icons.push(groups.get(name));
+    }
+    groups.get(name).push({ node: node, size: size });
+  });
+
+  const masterIds = new Map();
+  const primaries = icons.map(icon => {
+    if (!Array.isArray(icon)) {
+      return icon;
+    }
+    // A master selected on its own keeps the masters it was grouped with before
+    if (icon.length === 1) {
+      return icon[0].node;
+    }
+
+    const masters = icon.sort((a, b) => a.size - b.size);
+    const primary = masters[masters.length - 1].node;
+    masterIds.set(primary, masters.map(master => master.node.id));
+    return primary;
+  });
+  return { icons: primaries, masterIds: masterIds };
+}
+
+// Record the masters of an icon on its largest master, so updates and previews use them too
+function recordIconMasters(sourceNode, ids) {
+  const record = JSON.stringify(ids);
+  if (sourceNode.getPluginData(ICON_MASTERS_KEY) !== record) {
+    sourceNode.setPluginData(ICON_MASTERS_KEY, record);
+  }
+}
+
+// The masters of an icon as { node, size }, smallest first
+// ids are the recorded masters unless given (like the masters selected for a preview)
+// Masters that were deleted or are no longer marked as masters are left out (as are duplicate sizes)
+async function getIconMasters(sourceNode, ids = readPluginDataJson(sourceNode, ICON_MASTERS_KEY)) {
+  const masters = [];
+  if (!Array.isArray(ids) || !getMasterSize(sourceNode)) {
+    return masters;
+  }
+
+  for (const id of ids) {
+    const node = id === sourceNode.id ? sourceNode : await figma.getNodeByIdAsync(id);
+    const size = node && !node.removed ? getMasterSize(node) : null;
+    if (size && !masters.some(master => master.size === size)) {
+      masters.push({ node: node, size: size });
+    }
+  }
+  return masters.sort((a, b) => a.size - b.size);
+}
+
+// Helper function to get the largest variant size a master is used for
+// Set per master size in the settings; by default it is used up to halfway to the next master
+function getMasterMaxSize(size, nextSize, settings) {
+  const range = (settings.masterRanges || []).find(masterRange => masterRange.master === size);
+  return range ? range.maxSize : (size + nextSize) / 2;
+}
+
+// Pick the drawing a variant is rendered from: the smallest master whose range covers
+// the variant's size, the largest master for anything bigger, or the source icon itself
+// masterIds overrides the recorded masters (see getIconMasters)
+async function getVariantMaster(sourceNode, variant, settings, masterIds) {
+  const masters = await getIconMasters(sourceNode, masterIds);
+  if (masters.length < 2) {
+    return sourceNode;
+  }
+
+  const frame = getVariantFrameSize(sourceNode, variant);
+  const size = Math.max(frame.width, frame.height);
+  const master = masters.find((candidate, index) =>
+    index === masters.length - 1 || size <= getMasterMaxSize(candidate.size, masters[index + 1].size, settings));
+  return master.node;
+}
+
+// Helper function to get the ID of the master a variant is drawn from (null if it's the source icon)
+async function getVariantMasterId(sourceNode, variant, settings) {
+  const masterNode = await getVariantMaster(sourceNode, variant, settings);
+  return masterNode !== sourceNode ? masterNode.id : null;
+}
+
+// Whether a variant's strokes are outlined
+// With the style axis, only the Style=Outlined variants are (through their value's outline flag)
+function shouldOutline(variant, settings) {
+  return !!(variant.outline || (settings.outlineFlattenEnabled && settings.outlineMode !== 'style-axis'));
+}
+
+// Whether an outlined variant keeps its stroked version as a hidden layer
+// (the outline mode belongs to the global toggle, like the style axis)
+function shouldKeepStrokeSource(variant, settings) {
+  return !!settings.outlineFlattenEnabled && settings.outlineMode === 'keep-source' && shouldOutline(variant, settings);
+}
+
+// Duplicate the source icon and render it for one variant (resize, stroke, snap, outline)
+// options.report collects notes about the variant (e.g. how far pixel snapping moved it),
+// options.masterIds overrides the recorded masters (see getIconMasters), options.parent
+// is where the clone is made instead of next to the master and options.created collects
+// the nodes made along the way, so a failed run can remove exactly those
+async function renderVariantClone(sourceNode, variant, settings, options = {}) {
+  const { report } = options;
+  // Icons drawn at several sizes are rendered from the master for this variant's size
+  const masterNode = await getVariantMaster(sourceNode, variant, settings, options.masterIds);
+  const originalSize = Math.max(masterNode.width, masterNode.height);
+  const placement = getArtworkPlacement(masterNode, variant, settings);
+  const { frame } = placement;
+  if (masterNode !== sourceNode) {
+    console.log(`📐 Using the "${masterNode.name}" master for ${variant.name}`);
+  }
+
+  // Step 1: Duplicate the frame that Figma marks
+  let variantIconClone = masterNode.clone();
+  if (options.created) {
+    options.created.push(variantIconClone);
+  }
+  if (options.parent) {
+    options.parent.appendChild(variantIconClone);
+  }
+
+  // Calculate scale factor (depends on the fit mode and alignment)
+  // Stretched artwork uses the smaller of its two scales for stroke weights
+  const scaleFactor = Math.min(placement.scaleX, placement.scaleY);
+  console.log(`📐 Scale factor: ${scaleFactor.toFixed(3)} (${originalSize} -> ${frame.width}x${frame.height}, ${settings.fitMode || 'proportional'})`);
+
+  // Resize the duplicated frame to target size
+  // Figma will automatically scale the content proportionally
+  try {
+    placeArtwork(variantIconClone, placement);
+    console.log(`✓ Resized duplicated frame to ${variantIconClone.width}x${variantIconClone.height}`);
+  } catch (e) {
+    console.error('Error resizing clone:', e);
+    variantIconClone.remove();
+    throw new Error(`Could not resize the icon for ${variant.name}: ${e.message}`);
+  }
+
+  // With optical sizing the artwork may not fit inside the live area of smaller frames
+  const { box } = placement;
+  const padding = variant.padding || 0;
+  const artworkWidth = (box.maxX - box.minX) * placement.scaleX;
+  const artworkHeight = (box.maxY - box.minY) * placement.scaleY;
+  const liveWidth = frame.width - 2 * padding;
+  const liveHeight = frame.height - 2 * padding;
+  if (settings.fitMode === 'optical' && report &&
+      (artworkWidth > liveWidth + 0.01 || artworkHeight > liveHeight + 0.01)) {
+    report.push({
+      icon: sourceNode.name,
+      variant: variant.name,
+      message: `Artwork (${Math.round(artworkWidth * 100) / 100}x${Math.round(artworkHeight * 100) / 100}px) ` +
+        `is larger than the live area (${liveWidth}x${liveHeight}px)`
+    });
+  }
+
+  // Apply stroke only if stroke is enabled
+  // This will modify the stroke of vector nodes inside the icon, keeping their relative weights
+  const mainSourceWeight = getMainStrokeWeight(masterNode);
+  const strokeWeight = settings.strokeEnabled
+    ? getTargetStrokeWeight(variant, settings, mainSourceWeight, scaleFactor)
+    : 0;
+  if (strokeWeight > 0 && mainSourceWeight > 0) {
+    try {
+      applyStrokeToVectors(variantIconClone, strokeWeight, mainSourceWeight, settings.strokeRounding);
+      console.log(`✓ Applied stroke ${strokeWeight} (${settings.strokeMode || 'manual'}) to variant`);
+    } catch (e) {
+      console.error('Error applying stroke:', e);
+      // Continue even if stroke application fails
+    }
+  } else {
+    // Don't touch stroke if not enabled
+    console.log('✓ Stroke not applied (stroke disabled, no stroke value or no stroked vectors)');
+  }
+
+  // Snap to the pixel grid after resizing (and after the stroke weights are known)
+  if (settings.pixelSnapEnabled) {
+    const snap = await snapToPixelGrid(variantIconClone);
+    console.log(`✓ Snapped ${snap.points} points to the pixel grid (max ${snap.maxShift.toFixed(2)}px)`);
+    if (report) {
+      report.push({
+        icon: sourceNode.name,
+        variant: variant.name,
+        message: snap.points > 0
+          ? `Pixel snap moved ${snap.points} point${snap.points === 1 ? '' : 's'}, ` +
+            `max ${snap.maxShift.toFixed(2)}px, total ${snap.totalShift.toFixed(2)}px`
+          : 'Pixel snap: already on the grid'
+      });
+    }
+  }
+
+  // Convert to outline stroke and flatten if enabled (globally or by this variant's values)
+  if (shouldOutline(variant, settings)) {
+    const outline = outlineAndFlatten(variantIconClone);
+    variantIconClone = outline.node;
+    if (options.created && !options.created.includes(variantIconClone)) {
+      options.created.push(variantIconClone);
+    }
+    if (report && outline.unavailable.length > 0) {
+      report.push({
+        icon: sourceNode.name,
+        variant: variant.name,
+        message: `Outline stroke unavailable for: ${outline.unavailable.join(', ')}`
+      });
+    }
+  }
+
+  // Bind the colors to variables or styles last, so outlined strokes (now fills) are bound too
+  const colorBindings = getColorBindings(variant, settings);
+  if (colorBindings && colorBindings.length > 0) {
+    const notes = await applyColorBindings(variantIconClone, colorBindings);
+    if (report) {
+      notes.forEach(message => report.push({ icon: sourceNode.name, variant: variant.name, message: message }));
+    }
+  }
+
+  return variantIconClone;
+}
+
+// Move the rendered clone into a component directly (no extra frame layer)
+// Any previous content of the component is replaced, but the component itself is kept
+function fillVariantComponent(variantComponent, variantIconClone, frame) {
+  // The clone itself may have been made inside the component (see renderVariantPreview)
+  [...variantComponent.children].filter(child => child !== variantIconClone).forEach(child => child.remove());
+  variantComponent.resize(frame.width, frame.height);
+
+  if (variantIconClone.type === 'FRAME') {
+    // Move frame's children directly to component (no frame layer!)
+    if (variantIconClone.children.length > 0) {
+      const children = [...variantIconClone.children];
+
+      // Move each child directly to component, preserving positions and sizes
+      children.forEach(child => {
+        try {
+          const currentX = child.x || 0;
+          const currentY = child.y || 0;
+
+          variantComponent.appendChild(child);
+
+          // Restore position (relative to component now)
+          child.x = currentX;
+          child.y = currentY;
+
+          // Set constraints to SCALE
+          setConstraintsToScale(child);
+        } catch (e) {
+          console.error('Error moving child from frame:', e);
+        }
+      });
+
+      // Remove the empty frame
+      variantIconClone.remove();
+
+      console.log(`✓ Moved ${children.length} children directly to component (no frame layer)`);
+    } else {
+      variantIconClone.remove();
+    }
+  } else {
+    // If it's not a frame, add it directly, keeping the position placeArtwork gave it
+    const currentX = variantIconClone.x;
+    const currentY = variantIconClone.y;
+    variantComponent.appendChild(variantIconClone);
+    variantIconClone.x = currentX;
+    variantIconClone.y = currentY;
+    setConstraintsToScale(variantIconClone);
+  }
+}
+
+// Keep the stroked version of an outlined variant as a hidden, locked layer below the outline
+function addStrokeSourceLayer(variantComponent, strokedClone) {
+  const layers = strokedClone.type === 'FRAME' ? [...strokedClone.children] : [strokedClone];
+  if (layers.length === 0) {
+    strokedClone.remove();
+    return;
+  }
+
+  // Moving the layers keeps their position relative to the component
+  layers.forEach(layer => {
+    const currentX = layer.x;
+    const currentY = layer.y;
+    variantComponent.appendChild(layer);
+    layer.x = currentX;
+    layer.y = currentY;
+    setConstraintsToScale(layer);
+  });
+  if (strokedClone.type === 'FRAME') {
+    strokedClone.remove();
+  }
+
+  const strokeSource = figma.group(layers, variantComponent, 0);
+  strokeSource.name = STROKE_SOURCE_LAYER_NAME;
+  strokeSource.visible = false;
+  strokeSource.locked = true;
+  console.log('✓ Kept stroked version as a hidden layer');
+}
+
+// Build every combination of property values (the variant matrix)
+// Each value can carry transforms (size or width × height, stroke, padding, outline); when several values in a
+// combination set the same transform, the one from the later property wins
+function resolveVariantMatrix(properties) {
+  let combinations = [[]];
+
+  // Prepend each property so the first property varies fastest (one row per remaining combination)
+  [...properties].reverse().forEach(property => {
+    const next = [];
+    combinations.forEach(combination => {
+      property.values.forEach(value => {
+        next.push([{ property: property.name, value: value }, ...combination]);
+      });
+    });
+    combinations = next;
+  });
+
+  return combinations.map(combination => {
+    const variant = {
+      // Format: A=x, B=y (not ComponentName=A=x) - the component set name is set separately
+      name: combination.map(entry => `${entry.property}=${entry.value.name}`).join(', '),
+      // Identifies the variant across updates even if property names change
+      key: combination.map(entry => entry.value.name).join(' / '),
+      values: combination.map(entry => entry.value.name),
+      size: undefined,
+      width: undefined,
+      height: undefined,
+      stroke: undefined,
+      padding: undefined,
+      outline: false,
+      colorBindings: undefined
+    };
+
+    combination.forEach(({ value }) => {
+      if (value.width > 0 && value.height > 0) {
+        // An explicit frame; size is its longest side (used by stroke rules)
+        variant.width = value.width;
+        variant.height = value.height;
+        variant.size = Math.max(value.width, value.height);
+      } else if (value.size > 0) {
+        variant.size = value.size;
+        variant.width = undefined;
+        variant.height = undefined;
+      }
+      if (value.stroke > 0) {
+        variant.stroke = value.stroke;
+      }
+      if (typeof value.padding === 'number' && value.padding >= 0) {
+        variant.padding = value.padding;
+      }
+      if (value.outline) {
+        variant.outline = true;
+      }
+      if (value.colorBindings) {
+        variant.colorBindings = value.colorBindings;
+      }
+    });
+
+    return variant;
+  });
+}
+
+// Fingerprint of everything that changes how a variant is rendered
+// Used to decide which variants need to be re-rendered when a set is updated
+// masterId is the master the variant is drawn from (only for icons drawn at several sizes)
+function getVariantSignature(variant, settings, masterId) {
+  return JSON.stringify({
+    master: masterId || undefined,
+    size: variant.size,
+    width: variant.width || null,
+    height: variant.height || null,
+    align: settings.artworkAlign,
+    stroke: settings.strokeEnabled
+      ? {
+        value: variant.stroke > 0 ? variant.stroke : null,
+        mode: settings.strokeMode,
+        curve: settings.strokeMode === 'curve' ? settings.strokeCurve : null,
+        rounding: settings.strokeRounding
+      }
+      : null,
+    outline: shouldOutline(variant, settings)
+      ? { keepSource: shouldKeepStrokeSource(variant, settings) }
+      : null,
+    pixelSnap: !!settings.pixelSnapEnabled,
+    color: (getColorBindings(variant, settings) || []).map(binding => ({ color: binding.color, token: binding.token })),
+    fit: settings.fitMode,
+    padding: settings.fitMode === 'proportional' ? null : variant.padding || 0
+  });
+}
+
+// Helper function to lay out a set's variants in one row with horizontal auto layout
+function layoutVariantRow(componentSet) {
+  // Component sets can have auto-layout properties
+  if ('layoutMode' in componentSet) {
+    componentSet.layoutMode = 'HORIZONTAL';
+    componentSet.itemSpacing = 16;
+    // Increase padding significantly
+    componentSet.paddingLeft = 24;
+    componentSet.paddingRight = 24;
+    componentSet.paddingTop = 24;
+    componentSet.paddingBottom = 24;
+    componentSet.counterAxisSizingMode = 'AUTO';
+  }
+}
+
+// Lay out a multi-property set as a grid: one column per value of the first property,
+// one row per combination of the remaining properties
+// Single-property sets get a horizontal auto layout (again, if an update dropped the other properties)
+function layoutVariantGrid(componentSet, settings) {
+  const properties = settings.variantProperties || settings.properties;
+  if (properties.length < 2) {
+    layoutVariantRow(componentSet);
+    return;
+  }
+
+  const padding = 24;
+  const spacing = 16;
+  const columnCount = properties[0].values.length;
+  const components = componentSet.children;
+
+  if ('layoutMode' in componentSet) {
+    componentSet.layoutMode = 'NONE';
+  }
+
+  const columnWidths = [];
+  const rowHeights = [];
+  components.forEach((component, index) => {
+    const column = index % columnCount;
+    const row = Math.floor(index / columnCount);
+    columnWidths[column] = Math.max(columnWidths[column] || 0, component.width);
+    rowHeights[row] = Math.max(rowHeights[row] || 0, component.height);
+  });
+
+  let y = padding;
+  rowHeights.forEach((rowHeight, row) => {
+    let x = padding;
+    columnWidths.forEach((columnWidth, column) => {
+      const component = components[row * columnCount + column];
+      if (component) {
+        component.x = x;
+        component.y = y;
+      }
+      x += columnWidth + spacing;
+    });
+    y += rowHeight + spacing;
+  });
+
+  const width = columnWidths.reduce((sum, w) => sum + w + spacing, padding * 2 - spacing);
+  const height = rowHeights.reduce((sum, h) => sum + h + spacing, padding * 2 - spacing);
+  componentSet.resizeWithoutConstraints(width, height);
+}
+
+// Create a variant component for the icon
+// (updates swap its layers into the existing variant, see swapVariantContent, so instances stay linked)
+// options.report collects notes about the variant for the UI and options.created the nodes it makes
+async function buildVariantComponent(sourceNode, variant, settings, options = {}) {
+  const { created } = options;
+  const variantIconClone = await renderVariantClone(sourceNode, variant, settings, { report: options.report, created: created });
+  const variantComponent = figma.createComponent();
+  if (created) {
+    created.push(variantComponent);
+  }
+
+  try {
+    fillVariantComponent(variantComponent, variantIconClone, getVariantFrameSize(sourceNode, variant));
+  } catch (e) {
+    console.error('Error processing variant icon:', e);
+    throw new Error(`Could not build ${variant.name}: ${e.message}`);
+  }
+
+  if (shouldKeepStrokeSource(variant, settings)) {
+    try {
+      // Render the same variant again without outlining, so designers can still edit the strokes
+      const strokedClone = await renderVariantClone(
+        sourceNode,
+        Object.assign({}, variant, { outline: false }),
+        Object.assign({}, settings, { outlineFlattenEnabled: false }),
+        { created: created }
+      );
+      addStrokeSourceLayer(variantComponent, strokedClone);
+    } catch (e) {
+      console.error('Error keeping the stroke source:', e);
+    }
+  }
+
+  variantComponent.name = variant.name;
+  variantComponent.setPluginData(GENERATED_VARIANT_KEY, JSON.stringify({
+    key: variant.key,
+    signature: getVariantSignature(variant, settings, await getVariantMasterId(sourceNode, variant, settings))
+  }));
+
+  return variantComponent;
+}
+
+// Helper function to read JSON stored in plugin data (returns null if missing or invalid)
+function readPluginDataJson(node, key) {
+  try {
+    const raw = node.getPluginData(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    console.error(`Error reading plugin data "${key}":`, e);
+    return null;
+  }
+}
+
+// The part of the settings that is stored in configs, presets and generated sets
+// (everything except the resolved variants and the component name)
+function getSettingsConfig(settings) {
+  return {
+    properties: settings.properties,
+    strokeEnabled: settings.strokeEnabled,
+    strokeMode: settings.strokeMode,
+    strokeCurve: settings.strokeCurve,
+    strokeRounding: settings.strokeRounding,
+    outlineFlattenEnabled: settings.outlineFlattenEnabled,
+    outlineMode: settings.outlineMode,
+    pixelSnapEnabled: settings.pixelSnapEnabled,
+    fitMode: settings.fitMode,
+    artworkAlign: settings.artworkAlign,
+    colorEnabled: settings.colorEnabled,
+    colorAxisEnabled: settings.colorAxisEnabled,
+    colorMappings: settings.colorMappings,
+    masterRanges: settings.masterRanges,
+    descriptionTemplate: settings.descriptionTemplate,
+    variantDescriptionTemplate: settings.variantDescriptionTemplate,
+    documentationLink: settings.documentationLink,
+    keywordsFromLayers: settings.keywordsFromLayers
+  };
+}
+
+// Helper function to hash a string into 8 hex characters (FNV-1a), to keep fingerprints small
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
+
+// Helper function to describe every visible layer of a drawing as it shows in the variants:
+// its transform and size relative to the drawing, its paths, stroke and paints
+function describeDrawing(root) {
+  const rootTransform = root.absoluteTransform;
+  const round = value => Math.round(value * 100) / 100;
+  const layers = [];
+
+  function walk(node) {
+    const transform = node.absoluteTransform;
+    layers.push([
+      node.type,
+      round(transform[0][0]), round(transform[0][1]), round(transform[1][0]), round(transform[1][1]),
+      round(transform[0][2] - rootTransform[0][2]),
+      round(transform[1][2] - rootTransform[1][2]),
+      round(node.width),
+      round(node.height),
+      Array.isArray(node.vectorPaths) ? node.vectorPaths.map(path => path.data).join('|') : null,
+      typeof node.strokeWeight === 'number' ? node.strokeWeight : null,
+      typeof node.strokeCap === 'string' ? node.strokeCap : null,
+      typeof node.strokeJoin === 'string' ? node.strokeJoin : null,
+      typeof node.cornerRadius === 'number' ? node.cornerRadius : null,
+      Array.isArray(node.strokes) ? node.strokes : null,
+      Array.isArray(node.fills) ? node.fills : null
+    ]);
+    if ('children' in node) {
+      node.children.forEach(child => {
+        if (child.visible !== false) {
+          walk(child);
+        }
+      });
+    }
+  }
+
+  walk(root);
+  return layers;
+}
+
+// Fingerprint of what a set is generated from: its source icon (with its other masters) and the settings
+// config is the stored form of the settings (getSettingsConfig), so stored sets can be checked against it
+async function getSourceFingerprint(sourceNode, config) {
+  const masters = await getIconMasters(sourceNode);
+  const drawings = masters.length > 1 ? masters.map(master => master.node) : [sourceNode];
+  return hashString(JSON.stringify([drawings.map(describeDrawing), config]));
+}
+
+// Record which source node and which settings produced a component set,
+// with a fingerprint of both to tell later whether the source has been edited since
+async function writeGeneratedSetData(componentSet, sourceNode, settings) {
+  // Fingerprinted as it will read back from plugin data (without undefined fields)
+  const config = getSettingsConfig(settings);
+  componentSet.setPluginData(GENERATED_SET_KEY, JSON.stringify({
+    sourceId: sourceNode.id,
+    settings: config,
+    fingerprint: await getSourceFingerprint(sourceNode, JSON.parse(JSON.stringify(config)))
+  }));
+  sourceNode.setPluginData(SOURCE_ICON_KEY, componentSet.id);
+
+  // Buttons for the set in the properties panel, running the "regenerate" and "open" menu commands
+  componentSet.setRelaunchData({
+    regenerate: 'Re-render every variant from the source icon',
+    open: 'Change the settings of this set in Supericons'
+  });
+}
+
+// Find component sets generated by Supericons in the current selection
+// Selecting a single variant counts as selecting its component set
+function getSelectedGeneratedSets() {
+  const componentSets = [];
+
+  figma.currentPage.selection.forEach(node => {
+    const componentSet = node.type === 'COMPONENT' && node.parent && node.parent.type === 'COMPONENT_SET'
+      ? node.parent
+      : node;
+
+    if (componentSet.type === 'COMPONENT_SET' &&
+        !componentSets.includes(componentSet) &&
+        readPluginDataJson(componentSet, GENERATED_SET_KEY)) {
+      componentSets.push(componentSet);
+    }
+  });
+
+  return componentSets;
+}
+
+// Validate the generation settings sent by the UI
+// Returns either { settings } or { error } with a message for figma.notify
+function parseGenerationSettings(msg) {
+  const strokeEnabled = msg.strokeEnabled || false;
+  const outlineFlattenEnabled = msg.outlineFlattenEnabled || false;
+  const outlineMode = OUTLINE_MODES.includes(msg.outlineMode) ? msg.outlineMode : 'replace';
+  const strokeMode = STROKE_MODES.includes(msg.strokeMode) ? msg.strokeMode : 'manual';
+  const strokeRounding = STROKE_ROUNDING_STEPS.includes(msg.strokeRounding) ? msg.strokeRounding : 0;
+  const fitMode = FIT_MODES.includes(msg.fitMode) ? msg.fitMode : 'proportional';
+  const artworkAlign = ARTWORK_ALIGNMENTS.includes(msg.artworkAlign) ? msg.artworkAlign : 'center';
+  const strokeCurve = (Array.isArray(msg.strokeCurve) ? msg.strokeCurve : [])
+    .filter(point => point && point.size > 0 && point.stroke > 0)
+    .map(point => ({ size: point.size, stroke: point.stroke }));
+  const colorEnabled = !!msg.colorEnabled;
+  const colorAxisEnabled = colorEnabled && !!msg.colorAxisEnabled;
+  const colorMappings = (Array.isArray(msg.colorMappings) ? msg.colorMappings : []).map(mapping => ({
+    name: String((mapping && mapping.name) || '').trim(),
+    bindings: (mapping && Array.isArray(mapping.bindings) ? mapping.bindings : [])
+      .filter(binding => binding && HEX_COLOR_PATTERN.test(binding.color) && typeof binding.token === 'string' && binding.token)
+      .map(binding => ({ color: binding.color.toUpperCase(), token: binding.token, tokenName: binding.tokenName || '' }))
+  }));
+  const masterRanges = (Array.isArray(msg.masterRanges) ? msg.masterRanges : [])
+    .filter(range => range && range.master > 0 && range.maxSize > 0)
+    .map(range => ({ master: range.master, maxSize: range.maxSize }));
+
+  // Normalize names - ensure they're valid for Figma's naming convention
+  // Component and property names can have spaces, but we'll keep them as-is
+  // since Figma supports spaces in variant property names
+  const componentName = (msg.componentName || 'Icon Component').trim();
+  const descriptionTemplate = String(msg.descriptionTemplate || '').trim();
+  const variantDescriptionTemplate = String(msg.variantDescriptionTemplate || '').trim();
+  const documentationLink = String(msg.documentationLink || '').trim();
+
+  // Older configs had a single property with a flat list of variants
+  const rawProperties = Array.isArray(msg.properties)
+    ? msg.properties
+    : [{ name: msg.propertyName || 'Size', values: msg.variants || [] }];
+
+  const properties = rawProperties.map(property => ({
+    name: (property.name || '').trim(),
+    values: (property.values || []).map(value => ({
+      name: String(value.name || '').trim(),
+      size: value.size > 0 ? value.size : undefined,
+      width: value.width > 0 && value.height > 0 ? value.width : undefined,
+      height: value.width > 0 && value.height > 0 ? value.height : undefined,
+      stroke: value.stroke > 0 ? value.stroke : undefined,
+      padding: typeof value.padding === 'number' && value.padding >= 0 ? value.padding : undefined,
+      outline: !!value.outline
+    }))
+  }));
+
+  // Validate inputs
+  if (properties.length === 0) {
+    return { error: 'Please add at least one property' };
+  }
+
+  let nameError = validateNameTemplate(componentName, SET_NAME_TOKENS, 'The component name') ||
+    validateNameTemplate(descriptionTemplate, DESCRIPTION_TOKENS, 'The description') ||
+    validateNameTemplate(documentationLink, DESCRIPTION_TOKENS, 'The documentation link') ||
+    validateNameTemplate(variantDescriptionTemplate, VARIANT_DESCRIPTION_TOKENS, 'The variant description');
+  properties.forEach(property => {
+    property.values.forEach(value => {
+      nameError = nameError || validateNameTemplate(value.name, VALUE_NAME_TOKENS, `"${value.name}"`);
+    });
+  });
+  if (nameError) {
+    return { error: nameError };
+  }
+  if (documentationLink && !/^https?:\/\//i.test(documentationLink)) {
+    return { error: 'The documentation link must start with http:// or https://' };
+  }
+
+  // Value names can be templates ("{size}px"); the templates are what gets stored,
+  // the resolved names are what the variants are called
+  const resolvedProperties = properties.map(property => ({
+    name: property.name,
+    values: property.values.map(value => Object.assign({}, value, {
+      name: resolveNameTemplate(value.name, {
+        size: value.size,
+        width: value.width,
+        height: value.height,
+        stroke: value.stroke,
+        padding: value.padding
+      })
+    }))
+  }));
+
+  // "=" and "," separate properties and values in variant names
+  const invalidName = name => !name || /[=,]/.test(name);
+
+  for (const property of resolvedProperties) {
+    if (invalidName(property.name)) {
+      return { error: 'Property names cannot be empty or contain "=" or ","' };
+    }
+    if (property.values.length === 0) {
+      return { error: `Please add at least one value to "${property.name}"` };
+    }
+    if (property.values.some(value => invalidName(value.name))) {
+      return { error: `Values of "${property.name}" cannot be empty or contain "=" or ","` };
+    }
+
+    // Values become variant names, so duplicates would conflict in the set
+    const valueNames = property.values.map(value => value.name);
+    if (new Set(valueNames).size !== valueNames.length) {
+      return { error: `Values of "${property.name}" must be unique` };
+    }
+  }
+
+  const propertyNames = properties.map(property => property.name);
+  if (new Set(propertyNames).size !== propertyNames.length) {
+    return { error: 'Property names must be unique' };
+  }
+
+  if (strokeEnabled && strokeMode === 'curve' && strokeCurve.length === 0) {
+    return { error: 'Please add at least one point to the stroke curve' };
+  }
+
+  const shortRange = masterRanges.find(range => range.maxSize < range.master);
+  if (shortRange) {
+    return { error: `The ${shortRange.master}px master must be used up to at least ${shortRange.master}px` };
+  }
+
+  // The style axis generates a stroked and an outlined variant for every combination
+  const variantProperties = [...resolvedProperties];
+  if (outlineFlattenEnabled && outlineMode === 'style-axis') {
+    if (propertyNames.includes(STYLE_PROPERTY_NAME)) {
+      return { error: `Rename the "${STYLE_PROPERTY_NAME}" property - it is added by the outline style axis` };
+    }
+    variantProperties.push({
+      name: STYLE_PROPERTY_NAME,
+      values: [{ name: 'Stroke', outline: false }, { name: 'Outlined', outline: true }]
+    });
+  }
+
+  // Each color mapping becomes a Color variant (otherwise the first mapping colors every variant)
+  if (colorEnabled && !colorMappings.some(mapping => mapping.bindings.length > 0)) {
+    return { error: 'Please bind at least one color to a variable or style' };
+  }
+  if (colorAxisEnabled) {
+    if (propertyNames.includes(COLOR_PROPERTY_NAME)) {
+      return { error: `Rename the "${COLOR_PROPERTY_NAME}" property - it is added by the color axis` };
+    }
+    if (colorMappings.some(mapping => invalidName(mapping.name))) {
+      return { error: 'Color names cannot be empty or contain "=" or ","' };
+    }
+    const colorNames = colorMappings.map(mapping => mapping.name);
+    if (new Set(colorNames).size !== colorNames.length) {
+      return { error: 'Color names must be unique' };
+    }
+    variantProperties.push({
+      name: COLOR_PROPERTY_NAME,
+      values: colorMappings.map(mapping => ({ name: mapping.name, colorBindings: mapping.bindings }))
+    });
+  }
+
+  const variants = resolveVariantMatrix(variantProperties);
+
+  const unsized = variants.find(variant => !variant.size);
+  if (unsized) {
+    return { error: `No size for "${unsized.name}" - give the values of one property a size` };
+  }
+
+  const overPadded = fitMode === 'fit' && variants.find(variant =>
+    Math.min(variant.width || variant.size, variant.height || variant.size) - 2 * (variant.padding || 0) <= 0);
+  if (overPadded) {
+    return { error: `Padding of "${overPadded.name}" leaves no room for the artwork` };
+  }
+
+  return {
+    settings: {
+      componentName: componentName,
+      properties: properties,
+      variantProperties: variantProperties,
+      variants: variants,
+      strokeEnabled: strokeEnabled,
+      strokeMode: strokeMode,
+      strokeCurve: strokeCurve,
+      strokeRounding: strokeRounding,
+      outlineFlattenEnabled: outlineFlattenEnabled,
+      outlineMode: outlineMode,
+      pixelSnapEnabled: !!msg.pixelSnapEnabled,
+      fitMode: fitMode,
+      artworkAlign: artworkAlign,
+      colorEnabled: colorEnabled,
+      colorAxisEnabled: colorAxisEnabled,
+      colorMappings: colorMappings,
+      masterRanges: masterRanges,
+      descriptionTemplate: descriptionTemplate,
+      variantDescriptionTemplate: variantDescriptionTemplate,
+      documentationLink: documentationLink,
+      keywordsFromLayers: !!msg.keywordsFromLayers
+    }
+  };
+}
+
+// Tokens that name templates can use: set names know the source icon, value names know the value,
+// descriptions (and the documentation link) know the set and variant descriptions the rendered variant
+// A token can end in a case transform, like {layer|kebab}
+const SET_NAME_TOKENS = ['layer', 'index', 'size', 'stroke'];
+const VALUE_NAME_TOKENS = ['size', 'width', 'height', 'stroke', 'padding'];
+const DESCRIPTION_TOKENS = ['name', 'layer', 'keywords', 'sizes', 'variants'];
+const VARIANT_DESCRIPTION_TOKENS = ['name', 'variant', 'size', 'width', 'height', 'stroke', 'keywords'];
+const NAME_TRANSFORMS = ['kebab', 'pascal', 'camel', 'snake', 'lower', 'upper'];
+const NAME_TOKEN_PATTERN = /\{\s*([a-z]+)\s*(?:\|\s*([a-z]+)\s*)?\}/gi;
+
+// Helper function to split a name into words for the case transforms ("Arrow Left-2" -> arrow, left, 2)
+function splitNameWords(text) {
+  return String(text)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9.]+/)
+    .filter(Boolean);
+}
+
+// Helper function to apply a case transform to a token value
+// Slashes are kept, so a layer named "arrows/left" stays a path
+function transformName(text, transform) {
+  if (!transform) {
+    return String(text);
+  }
+  return String(text).split('/').map(part => {
+    const words = splitNameWords(part);
+    const capitalize = word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+    switch (transform) {
+      case 'kebab': return words.map(word => word.toLowerCase()).join('-');
+      case 'snake': return words.map(word => word.toLowerCase()).join('_');
+      case 'pascal': return words.map(capitalize).join('');
+      case 'camel': return words.map((word, i) => (i === 0 ? word.toLowerCase() : capitalize(word))).join('');
+      case 'lower': return part.toLowerCase();
+      case 'upper': return part.toUpperCase();
+      default: return part;
+    }
+  }).join('/');
+}
+
+// Helper function to check a template for unknown tokens or transforms
+// Returns an error message, or null if the template is fine
+function validateNameTemplate(template, allowedTokens, label) {
+  let error = null;
+  String(template).replace(NAME_TOKEN_PATTERN, (match, token, transform) => {
+    if (error) {
+      return match;
+    }
+    if (!allowedTokens.includes(token.toLowerCase())) {
+      error = `${label} can't use ${match} - use ${allowedTokens.map(t => `{${t}}`).join(', ')}`;
+    } else if (transform && !NAME_TRANSFORMS.includes(transform.toLowerCase())) {
+      error = `Unknown case in ${match} - use ${NAME_TRANSFORMS.join(', ')}`;
+    }
+    return match;
+  });
+  return error;
+}
+
+// Replace the tokens in a name template with values from the context
+// Tokens without a value (like {stroke} for an unstroked icon) become empty and the
+// spaces they leave behind are collapsed. Names without tokens are returned as they are
+function resolveNameTemplate(template, context) {
+  if (!hasNameTokens(template)) {
+    return template;
+  }
+  return replaceNameTokens(template, context)
+    .replace(/\s+/g, ' ')
+    .replace(/\s*\/\s*/g, '/')
+    .trim();
+}
+
+// Replace the tokens in a description or link template; unlike names, the text around them is kept as typed
+function resolveTextTemplate(template, context) {
+  return replaceNameTokens(template, context).trim();
+}
+
+// Helper function to replace each token with its value from the context (empty if it has none)
+function replaceNameTokens(template, context) {
+  return String(template).replace(NAME_TOKEN_PATTERN, (match, token, transform) => {
+    const value = context[token.toLowerCase()];
+    return value === undefined || value === null ? '' : transformName(value, transform && transform.toLowerCase());
+  });
+}
+
+// Helper function to check if a template uses any tokens
+function hasNameTokens(template) {
+  return new RegExp(NAME_TOKEN_PATTERN.source, 'i').test(String(template));
+}
+
+// Name of the component set generated for one of the selected icons
+// A plain name gets a number when several icons are selected, as it always has
+function getSetName(template, sourceNode, index, count) {
+  if (!hasNameTokens(template)) {
+    return count > 1 ? `${template} ${index + 1}` : template;
+  }
+  const mainStroke = getMainStrokeWeight(sourceNode);
+  return resolveNameTemplate(template, {
+    layer: getIconName(sourceNode),
+    index: index + 1,
+    size: Math.round(Math.max(sourceNode.width, sourceNode.height) * 100) / 100,
+    stroke: mainStroke > 0 ? Math.round(mainStroke * 100) / 100 : null
+  });
+}
+
+// Names of the components and component sets on the current page (variants are named by their set)
+// Used to warn before a new set gets the same name as an existing one
+function getPageComponentNames() {
+  const names = new Set();
+
+  function walk(node) {
+    node.children.forEach(child => {
+      if (child.type === 'COMPONENT_SET' || child.type === 'COMPONENT') {
+        names.add(child.name);
+      } else if ('children' in child && child.type !== 'INSTANCE') {
+        walk(child);
+      }
+    });
+  }
+
+  walk(figma.currentPage);
+  return names;
+}
+
+// Resolve the set names for the selected icons and flag names that are taken
+// Returns one { icon, name, collision } entry per icon; collision says what the name clashes with
+function getSetNames(template, nodes) {
+  const pageNames = getPageComponentNames();
+  const names = nodes.map((node, index) => getSetName(template, node, index, nodes.length));
+
+  return nodes.map((node, index) => {
+    const name = names[index];
+    let collision = null;
+    if (pageNames.has(name)) {
+      collision = 'a component on this page';
+    } else if (names.indexOf(name) !== index || names.lastIndexOf(name) !== index) {
+      collision = 'another selected icon';
+    }
+    return { icon: node.name, name: name, collision: collision };
+  });
+}
+
+// Generic names Figma gives new layers, which say nothing about an icon
+const DEFAULT_LAYER_NAME_PATTERN = /^(vector|frame|group|union|subtract|intersect|exclude|rectangle|ellipse|line|polygon|star|path|shape|layer)(\s*\d+)?$/i;
+
+// Search keywords of an icon: the ones entered for it in the panel and, with keywordsFromLayers,
+// the words in its name and its layers' names. Lowercase and without duplicates
+function getIconKeywords(sourceNode, settings) {
+  const keywords = sourceNode.getPluginData(ICON_KEYWORDS_KEY)
+    .split(',')
+    .map(keyword => keyword.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (settings.keywordsFromLayers) {
+    const names = [getIconName(sourceNode)];
+    const walk = node => {
+      if ('children' in node) {
+        node.children.forEach(child => {
+          names.push(child.name);
+          walk(child);
+        });
+      }
+    };
+    walk(sourceNode);
+
+    names.filter(name => !DEFAULT_LAYER_NAME_PATTERN.test(name.trim())).forEach(name => {
+      splitNameWords(name)
+        .filter(word => word.length > 1 && !/^[\d.]+$/.test(word))
+        .forEach(word => keywords.push(word.toLowerCase()));
+    });
+  }
+
+  return Array.from(new Set(keywords));
+}
+
+// Set the descriptions of a generated set and its variants, and the set's documentation link, from the templates
+// Keywords go into the descriptions, which is what the Assets panel searches. Empty templates leave
+// whatever is there alone, so descriptions written by hand are kept
+function applyDescriptions(componentSet, sourceNode, settings, report) {
+  const round = value => Math.round(value * 100) / 100;
+  const keywords = getIconKeywords(sourceNode, settings).join(', ');
+  const context = {
+    name: componentSet.name,
+    layer: getIconName(sourceNode),
+    keywords: keywords,
+    sizes: Array.from(new Set(settings.variants.map(variant => variant.size))).sort((a, b) => a - b).join(', '),
+    variants: settings.variants.length
+  };
+
+  if (settings.descriptionTemplate) {
+    componentSet.description = resolveTextTemplate(settings.descriptionTemplate, context);
+  }
+
+  if (settings.documentationLink) {
+    const uri = resolveTextTemplate(settings.documentationLink, context);
+    try {
+      componentSet.documentationLinks = [{ uri: uri }];
+    } catch (e) {
+      console.error('Error setting the documentation link:', e);
+      report.push({ icon: sourceNode.name, message: `Documentation link not set: ${uri} is not a valid URL` });
+    }
+  }
+
+  if (settings.variantDescriptionTemplate) {
+    componentSet.children.forEach(component => {
+      const variantData = readPluginDataJson(component, GENERATED_VARIANT_KEY);
+      const variant = variantData && settings.variants.find(v => v.key === variantData.key);
+      if (!variant) {
+        return;
+      }
+      const stroke = getMainStrokeWeight(component);
+      component.description = resolveTextTemplate(settings.variantDescriptionTemplate, {
+        name: componentSet.name,
+        variant: variant.name,
+        size: variant.size,
+        width: round(component.width),
+        height: round(component.height),
+        stroke: stroke > 0 ? round(stroke) : null,
+        keywords: keywords
+      });
+    });
+  }
+}
+
+// Move the layers of a freshly built variant into an existing variant component, which keeps its node ID
+// The replacement is removed afterwards
+function swapVariantContent(variantComponent, replacement) {
+  [...variantComponent.children].forEach(child => child.remove());
+  variantComponent.resize(replacement.width, replacement.height);
+  [...replacement.children].forEach(child => {
+    const currentX = child.x;
+    const currentY = child.y;
+    variantComponent.appendChild(child);
+    child.x = currentX;
+    child.y = currentY;
+  });
+  variantComponent.name = replacement.name;
+  variantComponent.setPluginData(GENERATED_VARIANT_KEY, replacement.getPluginData(GENERATED_VARIANT_KEY));
+  replacement.remove();
+}
+
+// Helper function to count the instances in this file with overrides on the inner layers of a variant
+// Those overrides belong to the layers a re-render replaces; instances in other files can't be checked
+async function countInstancesWithLayerOverrides(variantComponent) {
+  try {
+    const instances = await variantComponent.getInstancesAsync();
+    return instances.filter(instance => instance.overrides.some(override => override.id !== instance.id)).length;
+  } catch (e) {
+    console.error('Error checking instance overrides:', e);
+    return 0;
+  }
+}
+
+// Helper function to describe the instance overrides an update reset, for result messages ('' if none)
+function getOverrideNote(summary) {
+  return summary.overridden > 0
+    ? ` - ${summary.overridden} instance${summary.overridden === 1 ? '' : 's'} in this file lost overrides on inner layers`
+    : '';
+}
+
+// Bring a previously generated component set in line with the given settings
+// Adds missing variants, removes dropped ones and re-renders changed ones in place
+// (or every variant with rerenderAll, for when the source icon itself was edited)
+// All or nothing: every variant is rendered off to the side first and only swapped into the set
+// once they all succeeded; if one fails, the renders and their notes are removed and the set is left as it was
+// Re-rendering replaces a variant's layers, so instances with overrides on them are counted
+// (summary.overridden) and listed in the report before they are replaced
+async function updateGeneratedSet(componentSet, settings, report, rerenderAll = false) {
+  const record = readPluginDataJson(componentSet, GENERATED_SET_KEY);
+  const sourceNode = record ? await figma.getNodeByIdAsync(record.sourceId) : null;
+
+  if (!sourceNode || sourceNode.removed) {
+    throw new Error(`Source icon of "${componentSet.name}" no longer exists`);
+  }
+
+  // Index the existing variant components by the variant they were generated from
+  const existingComponents = new Map();
+  componentSet.children.forEach(child => {
+    const variantData = readPluginDataJson(child, GENERATED_VARIANT_KEY);
+    // Sets from single-property versions stored the variant value as "name"
+    const key = variantData && (variantData.key || variantData.name);
+    if (key && !existingComponents.has(key)) {
+      existingComponents.set(key, { component: child, signature: variantData.signature });
+    }
+  });
+
+  const summary = { added: 0, removed: 0, updated: 0, overridden: 0 };
+  const orderedComponents = [];
+  // { variant, component, added, replacement } for each variant, in config order
+  const staged = [];
+
+  // Only the nodes rendered here are removed if one fails
+  const created = [];
+  const reportLength = report.length;
+
+  try {
+    for (const variant of settings.variants) {
+      const existing = existingComponents.get(variant.key);
+
+      if (!existing) {
+        const component = await buildVariantComponent(sourceNode, variant, settings, { report: report, created: created });
+        staged.push({ variant: variant, component: component, added: true });
+        continue;
+      }
+      existingComponents.delete(variant.key);
+
+      const masterId = await getVariantMasterId(sourceNode, variant, settings);
+      const replacement = rerenderAll || existing.signature !== getVariantSignature(variant, settings, masterId)
+        ? await buildVariantComponent(sourceNode, variant, settings, { report: report, created: created })
+        : null;
+      staged.push({ variant: variant, component: existing.component, replacement: replacement });
+    }
+  } catch (error) {
+    const removed = removeCreatedNodes(created);
+    console.log(`🔄 Rolled back ${removed} nodes rendered for "${componentSet.name}"`);
+    report.splice(reportLength);
+    throw error;
+  }
+
+  for (const { variant, component, added, replacement } of staged) {
+    if (added) {
+      componentSet.appendChild(component);
+      summary.added++;
+      console.log(`✓ Added variant "${variant.name}" to ${componentSet.name}`);
+    } else if (replacement) {
+      const overridden = await countInstancesWithLayerOverrides(component);
+      if (overridden > 0) {
+        summary.overridden += overridden;
+        report.push({
+          icon: componentSet.name,
+          variant: variant.name,
+          message: `${overridden} instance${overridden === 1 ? '' : 's'} in this file had overrides on inner layers ` +
+            '(like a fill on the vector), which re-rendering reset'
+        });
+        console.log(`⚠ ${overridden} instance(s) of "${variant.name}" lose overrides on inner layers`);
+      }
+      swapVariantContent(component, replacement);
+      summary.updated++;
+      console.log(`✓ Re-rendered variant "${variant.name}" in ${componentSet.name}`);
+    } else {
+      // Property names may have changed even if the artwork didn't
+      component.name = variant.name;
+    }
+    orderedComponents.push(component);
+  }
+
+  // Whatever is left belongs to variants that were dropped from the config
+  existingComponents.forEach(({ component }) => {
+    component.remove();
+    summary.removed++;
+  });
+
+  // Keep the variants in the same order as the config
+  orderedComponents.forEach((component, index) => {
+    componentSet.insertChild(index, component);
+  });
+  layoutVariantGrid(componentSet, settings);
+
+  await writeGeneratedSetData(componentSet, sourceNode, settings);
+  applyDescriptions(componentSet, sourceNode, settings, report);
+
+  return summary;
+}
+
+// Check the shape of a preset config and describe every problem found
+// Returns a list of messages like "properties[0].values[1].size must be a positive number"
+function validatePresetConfig(config, path) {
+  const errors = [];
+  const at = key => (path ? `${path}.${key}` : key);
+  const isPositiveNumber = v => typeof v === 'number' && isFinite(v) && v > 0;
+  const isValidName = v => typeof v === 'string' && v.trim() !== '' && !/[=,]/.test(v);
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return [`${path || 'config'} must be an object`];
+  }
+
+  ['componentName', 'descriptionTemplate', 'variantDescriptionTemplate', 'documentationLink'].forEach(key => {
+    if (config[key] !== undefined && typeof config[key] !== 'string') {
+      errors.push(`${at(key)} must be a string`);
+    }
+  });
+
+  ['strokeEnabled', 'outlineFlattenEnabled', 'pixelSnapEnabled', 'colorEnabled', 'colorAxisEnabled', 'keywordsFromLayers'].forEach(key => {
+    if (config[key] !== undefined && typeof config[key] !== 'boolean') {
+      errors.push(`${at(key)} must be true or false`);
+    }
+  });
+
+  if (config.strokeMode !== undefined && !STROKE_MODES.includes(config.strokeMode)) {
+    errors.push(`${at('strokeMode')} must be one of ${STROKE_MODES.join(', ')}`);
+  }
+  if (config.outlineMode !== undefined && !OUTLINE_MODES.includes(config.outlineMode)) {
+    errors.push(`${at('outlineMode')} must be one of ${OUTLINE_MODES.join(', ')}`);
+  }
+  if (config.fitMode !== undefined && !FIT_MODES.includes(config.fitMode)) {
+    errors.push(`${at('fitMode')} must be one of ${FIT_MODES.join(', ')}`);
+  }
+  if (config.artworkAlign !== undefined && !ARTWORK_ALIGNMENTS.includes(config.artworkAlign)) {
+    errors.push(`${at('artworkAlign')} must be one of ${ARTWORK_ALIGNMENTS.join(', ')}`);
+  }
+  if (config.strokeRounding !== undefined && !STROKE_ROUNDING_STEPS.includes(config.strokeRounding)) {
+    errors.push(`${at('strokeRounding')} must be one of ${STROKE_ROUNDING_STEPS.join(', ')}`);
+  }
+  if (config.strokeCurve !== undefined) {
+    if (!Array.isArray(config.strokeCurve)) {
+      errors.push(`${at('strokeCurve')} must be a list of { size, stroke } points`);
+    } else {
+      config.strokeCurve.forEach((point, index) => {
+        if (!point || !isPositiveNumber(point.size) || !isPositiveNumber(point.stroke)) {
+          errors.push(`${at(`strokeCurve[${index}]`)} must have a positive size and stroke`);
+        }
+      });
+    }
+  }
+
+  if (config.colorMappings !== undefined) {
+    if (!Array.isArray(config.colorMappings)) {
+      errors.push(`${at('colorMappings')} must be a list of { name, bindings } color mappings`);
+    } else {
+      config.colorMappings.forEach((mapping, index) => {
+        const mappingPath = at(`colorMappings[${index}]`);
+        if (!mapping || typeof mapping !== 'object' || !Array.isArray(mapping.bindings)) {
+          errors.push(`${mappingPath} must have a list of bindings`);
+          return;
+        }
+        if (mapping.name !== undefined && typeof mapping.name !== 'string') {
+          errors.push(`${mappingPath}.name must be a string`);
+        }
+        mapping.bindings.forEach((binding, bindingIndex) => {
+          if (!binding || !HEX_COLOR_PATTERN.test(binding.color) ||
+              typeof binding.token !== 'string' || !/^(variable|style):./.test(binding.token)) {
+            errors.push(`${mappingPath}.bindings[${bindingIndex}] must have a #RRGGBB color and a variable or style token`);
+          }
+        });
+      });
+    }
+  }
+
+  if (config.masterRanges !== undefined) {
+    if (!Array.isArray(config.masterRanges)) {
+      errors.push(`${at('masterRanges')} must be a list of { master, maxSize } ranges`);
+    } else {
+      config.masterRanges.forEach((range, index) => {
+        if (!range || !isPositiveNumber(range.master) || !isPositiveNumber(range.maxSize)) {
+          errors.push(`${at(`masterRanges[${index}]`)} must have a positive master and maxSize`);
+        } else if (range.maxSize < range.master) {
+          errors.push(`${at(`masterRanges[${index}]`)}.maxSize must be at least the master size`);
+        }
+      });
+    }
+  }
+
+  if (!Array.isArray(config.properties) || config.properties.length === 0) {
+    errors.push(`${at('properties')} must be a non-empty list`);
+    return errors;
+  }
+
+  const propertyNames = [];
+  config.properties.forEach((property, propertyIndex) => {
+    const propertyPath = at(`properties[${propertyIndex}]`);
+
+    if (!property || typeof property !== 'object') {
+      errors.push(`${propertyPath} must be an object`);
+      return;
+    }
+    if (!isValidName(property.name)) {
+      errors.push(`${propertyPath}.name must be a non-empty string without "=" or ","`);
+    } else if (propertyNames.includes(property.name.trim())) {
+      errors.push(`${propertyPath}.name "${property.name}" is used by another property`);
+    } else {
+      propertyNames.push(property.name.trim());
+    }
+
+    if (!Array.isArray(property.values) || property.values.length === 0) {
+      errors.push(`${propertyPath}.values must be a non-empty list`);
+      return;
+    }
+
+    const valueNames = [];
+    property.values.forEach((value, valueIndex) => {
+      const valuePath = `${propertyPath}.values[${valueIndex}]`;
+
+      if (!value || typeof value !== 'object') {
+        errors.push(`${valuePath} must be an object`);
+        return;
+      }
+      if (!isValidName(value.name)) {
+        errors.push(`${valuePath}.name must be a non-empty string without "=" or ","`);
+      } else if (valueNames.includes(value.name.trim())) {
+        errors.push(`${valuePath}.name "${value.name}" is used by another value`);
+      } else {
+        valueNames.push(value.name.trim());
+      }
+      if (value.size !== undefined && value.size !== null && !isPositiveNumber(value.size)) {
+        errors.push(`${valuePath}.size must be a positive number`);
+      }
+      const hasWidth = value.width !== undefined && value.width !== null;
+      const hasHeight = value.height !== undefined && value.height !== null;
+      if (hasWidth !== hasHeight) {
+        errors.push(`${valuePath} must have both width and height, or neither`);
+      } else if (hasWidth && (!isPositiveNumber(value.width) || !isPositiveNumber(value.height))) {
+        errors.push(`${valuePath}.width and height must be positive numbers`);
+      }
+      if (value.stroke !== undefined && value.stroke !== null && !isPositiveNumber(value.stroke)) {
+        errors.push(`${valuePath}.stroke must be a positive number`);
+      }
+      if (value.padding !== undefined && value.padding !== null &&
+          !(typeof value.padding === 'number' && isFinite(value.padding) && value.padding >= 0)) {
+        errors.push(`${valuePath}.padding must be zero or a positive number`);
+      }
+      if (value.outline !== undefined && typeof value.outline !== 'boolean') {
+        errors.push(`${valuePath}.outline must be true or false`);
+      }
+    });
+  });
+
+  // A combination has no size only if every property has a value without one
+  const isSized = value => value && (isPositiveNumber(value.size) ||
+    (isPositiveNumber(value.width) && isPositiveNumber(value.height)));
+  const hasUnsizedCombination = config.properties.every(property =>
+    Array.isArray(property && property.values) &&
+    property.values.some(value => !isSized(value)));
+  if (errors.length === 0 && hasUnsizedCombination) {
+    errors.push(`${at('properties')} must give every variant a size (fill in the sizes of one property)`);
+  }
+
+  return errors;
+}
+
+// Load the saved presets (an empty list if none were saved yet)
+async function getPresets() {
+  const presets = await figma.clientStorage.getAsync(PRESETS_KEY);
+  return Array.isArray(presets) ? presets : [];
+}
+
+// Save the presets and send the updated list to the UI
+async function savePresets(presets) {
+  presets.sort((a, b) => a.name.localeCompare(b.name));
+  await figma.clientStorage.setAsync(PRESETS_KEY, presets);
+  figma.ui.postMessage({
+    type: 'load-presets',
+    presets: presets
+  });
+}
+
+// Read presets from an imported JSON file
+// Accepts an exported presets file ({ presets: [...] }) or a single { name, config } preset
+function parsePresetImport(data) {
+  const entries = data && Array.isArray(data.presets) ? data.presets : [data];
+  const listPath = data && Array.isArray(data.presets) ? 'presets' : '';
+  const errors = [];
+  const presets = [];
+
+  if (entries.length === 0) {
+    return { errors: ['presets must contain at least one preset'], presets };
+  }
+
+  entries.forEach((entry, index) => {
+    const path = listPath ? `${listPath}[${index}]` : 'preset';
+
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`${path} must be an object with "name" and "config"`);
+      return;
+    }
+    if (typeof entry.name !== 'string' || !entry.name.trim()) {
+      errors.push(`${path}.name must be a non-empty string`);
+    } else if (presets.some(preset => preset.name === entry.name.trim())) {
+      errors.push(`${path}.name "${entry.name}" appears more than once`);
+    }
+
+    const configErrors = validatePresetConfig(entry.config, `${path}.config`);
+    errors.push(...configErrors);
+
+    if (configErrors.length === 0 && typeof entry.name === 'string' && entry.name.trim()) {
+      presets.push({ name: entry.name.trim(), config: entry.config });
+    }
+  });
+
+  return { errors, presets };
+}
+
+// Remove the nodes a failed run created (see the created option of buildVariantComponent)
+// Nodes already removed, or moved into a created component, are skipped; returns how many were removed
+function removeCreatedNodes(created) {
+  let removed = 0;
+  [...created].reverse().forEach(node => {
+    if (!node.removed) {
+      try {
+        node.remove();
+        removed++;
+      } catch (e) {
+        console.error('Error removing node during rollback:', e);
+      }
+    }
+  });
+  return removed;
+}
+
+// Create the component set for one icon, all or nothing
+// If anything fails, every node created for the icon and its notes in the report are removed
+// again, and the plugin data written on the icon is put back, before the error is passed on
+async function createIconSet(sourceNode, settings, setName, report, masterIds) {
+  const previousData = [SOURCE_ICON_KEY, ICON_MASTERS_KEY].map(key => [key, sourceNode.getPluginData(key)]);
+  // The masters selected together become the icon's masters once its set is generated
+  if (masterIds) {
+    recordIconMasters(sourceNode, masterIds);
+  }
+  // Only what this run created is removed; the page and the icon's frame are shared with the user
+  const created = [];
+  const reportLength = report.length;
+
+  try {
+    return await createComponentSet(sourceNode, settings, setName, report, created);
+  } catch (error) {
+    const removed = removeCreatedNodes(created);
+    previousData.forEach(([key, value]) => sourceNode.setPluginData(key, value));
+    console.log(`🔄 Rolled back ${removed} nodes created for "${sourceNode.name}"`);
+
+    // Notes about variants that no longer exist would only confuse
+    report.splice(reportLength);
+    throw error;
+  }
+}
+
+// Create the variant components for one icon and combine them into a component set
+// Throws if any step fails; the caller rolls back the nodes listed in created
+async function createComponentSet(sourceNode, settings, setName, report, created = []) {
+  // Create variant components from the selected icon
+  const variantComponents = [];
+  for (const variant of settings.variants) {
+    variantComponents.push(await buildVariantComponent(sourceNode, variant, settings, { report: report, created: created }));
+  }
+
+  // Add all variant components to the page as siblings
+  // combineAsVariants requires components to be siblings (same parent)
+  variantComponents.forEach((component, index) => {
+    figma.currentPage.appendChild(component);
+    // Position components horizontally
+    // The component set will be positioned side by side later
+    if (index === 0) {
+      component.x = sourceNode.x;
+      component.y = sourceNode.y + sourceNode.height + 50;
+    } else {
+      const prevComponent = variantComponents[index - 1];
+      component.x = prevComponent.x + prevComponent.width + 16;
+      component.y = prevComponent.y;
+    }
+  });
+
+  // Create a component set by combining the variants
+  if (typeof figma.combineAsVariants !== 'function') {
+    throw new Error('Combining components as variants is not available');
+  }
+  const componentSet = figma.combineAsVariants(variantComponents, figma.currentPage);
+  created.push(componentSet);
+  componentSet.name = setName;
+
+  // Remember the source icon and settings so the set can be updated later
+  await writeGeneratedSetData(componentSet, sourceNode, settings);
+  applyDescriptions(componentSet, sourceNode, settings, report);
+
+  // Single-property sets are laid out in a row, multi-property sets as a grid
+  layoutVariantGrid(componentSet, settings);
+
+  // Try to apply stroke directly to component set
+  // Note: ComponentSetNode may not support strokes in the API
+  try {
+    // Attempt to apply purple dashed border directly
+    if ('strokes' in componentSet && Array.isArray(componentSet.strokes)) {
+      componentSet.strokes = [{
+        type: 'SOLID',
+        color: { r: 0x97 / 255, g: 0x47 / 255, b: 0xFF / 255 }
+      }];
+      componentSet.strokeWeight = 2;
+      componentSet.dashPattern = [8, 4];
+      componentSet.strokeAlign = 'INSIDE';
+    }
+  } catch (e) {
+    // ComponentSetNode doesn't support strokes directly
+    // This is a limitation of the Figma API
+    console.log('ComponentSetNode does not support strokes:', e);
+  }
+
+  return componentSet;
+}
+
+// Incremented for every preview request so a slower, older render can tell it has been superseded
+let previewRequestId = 0;
+
+// Render one variant into a temporary off-canvas frame and export it as a PNG thumbnail
+// The clone is made inside that frame, so nothing is left on the page afterwards, even if rendering fails
+// (the nodes do pass through the document, and so through its undo history; the UI only asks on settled changes)
+async function renderVariantPreview(sourceNode, variant, settings, masterIds) {
+  const previewFrame = figma.createFrame();
+  try {
+    previewFrame.name = 'Supericons preview';
+    previewFrame.fills = [];
+    previewFrame.clipsContent = true;
+    previewFrame.x = PREVIEW_CANVAS_POSITION.x;
+    previewFrame.y = PREVIEW_CANVAS_POSITION.y;
+
+    // Sized up front, so the clone inside isn't scaled when the frame is
+    const frameSize = getVariantFrameSize(sourceNode, variant);
+    previewFrame.resize(frameSize.width, frameSize.height);
+
+    const variantIconClone = await renderVariantClone(sourceNode, variant, settings, { masterIds: masterIds, parent: previewFrame });
+    fillVariantComponent(previewFrame, variantIconClone, frameSize);
+
+    // Exported at 2x so thumbnails stay sharp on high-density screens
+    return await previewFrame.exportAsync({ format: 'PNG', constraint: { type: 'SCALE', value: 2 } });
+  } finally {
+    if (!previewFrame.removed) {
+      previewFrame.remove();
+    }
+  }
+}
+
+// The icons a preview renders: selected icons as they are (masters of one icon together),
+// generated sets through their source icon (that is what Create and Update would render)
+// Returns the grouping from groupIconMasters, without recording it
+async function getPreviewSources(selection) {
+  const sources = [];
+  for (const node of selection) {
+    const componentSet = node.type === 'COMPONENT' && node.parent && node.parent.type === 'COMPONENT_SET'
+      ? node.parent
+      : node;
+    const record = componentSet.type === 'COMPONENT_SET' ? readPluginDataJson(componentSet, GENERATED_SET_KEY) : null;
+    const source = record ? await figma.getNodeByIdAsync(record.sourceId) : node;
+
+    if (source && !source.removed && !sources.includes(source)) {
+      sources.push(source);
+    }
+  }
+  return groupIconMasters(sources);
+}
+
+// Render thumbnails of every variant of the selected icons and send them to the UI
+// Stops early (without posting) when a newer preview has been requested in the meantime
+async function postPreview(msg, requestId) {
+  const { settings, error } = parseGenerationSettings(msg);
+  const { icons: sources, masterIds } = await getPreviewSources(figma.currentPage.selection);
+
+  if (error || sources.length === 0) {
+    figma.ui.postMessage({ type: 'preview', error: error || null, icons: [] });
+    return;
+  }
+
+  const nodes = sources.slice(0, PREVIEW_MAX_ICONS);
+  const variants = settings.variants.slice(0, PREVIEW_MAX_VARIANTS);
+  const icons = [];
+
+  for (const node of nodes) {
+    const icon = { name: node.name, variants: [] };
+
+    for (const variant of variants) {
+      if (requestId !== previewRequestId) {
+        return;
+      }
+
+      const frameSize = getVariantFrameSize(node, variant);
+      const thumbnail = { name: variant.name, width: frameSize.width, height: frameSize.height };
+      try {
+        thumbnail.image = await renderVariantPreview(node, variant, settings, masterIds.get(node));
+      } catch (e) {
+        console.error(`Error previewing ${variant.name}:`, e);
+        thumbnail.error = e.message;
+      }
+      icon.variants.push(thumbnail);
+    }
+
+    icons.push(icon);
+  }
+
+  if (requestId !== previewRequestId) {
+    return;
+  }
+
+  figma.ui.postMessage({
+    type: 'preview',
+    icons: icons,
+    hiddenIcons: sources.length - nodes.length,
+    hiddenVariants: settings.variants.length - variants.length
+  });
+}
+
+// Export every variant of the given generated sets as SVG markup
+// The markup is cleaned up and packaged by the UI; variants are identified by their key ("24 / Bold")
+// With options.png, each variant also gets PNG renders at 1x, 2x and 3x (for iOS asset catalogs)
+async function exportGeneratedSetsSvg(componentSets, options = {}) {
+  const sets = [];
+
+  for (const componentSet of componentSets) {
+    const variants = [];
+    for (const component of componentSet.children) {
+      if (component.type !== 'COMPONENT') {
+        continue;
+      }
+
+      const variantData = readPluginDataJson(component, GENERATED_VARIANT_KEY);
+      const variant = {
+        name: component.name,
+        key: (variantData && (variantData.key || variantData.name)) || component.name,
+        width: component.width,
+        height: component.height,
+        svg: await component.exportAsync({ format: 'SVG_STRING', svgIdAttribute: false })
+      };
+      if (options.png) {
+        variant.png = [];
+        for (const scale of [1, 2, 3]) {
+          variant.png.push(await component.exportAsync({ format: 'PNG', constraint: { type: 'SCALE', value: scale } }));
+        }
+      }
+      variants.push(variant);
+    }
+    sets.push({ name: componentSet.name, variants: variants });
+  }
+
+  return sets;
+}
+
+// Icon font codepoints, stored on the document as { setId: codepoint } so every export
+// (by anyone working on the file) gives an icon the same character
+// Codepoints come from the Private Use Area and are never handed out twice, even after a set is deleted
+const FONT_CODEPOINTS_KEY = 'supericons-font-codepoints';
+const FONT_FIRST_CODEPOINT = 0xE000;
+const FONT_LAST_CODEPOINT = 0xF8FF;
+
+// Helper function to look up (and assign where missing) the font codepoint of each set
+function assignFontCodepoints(componentSets) {
+  const codepoints = readPluginDataJson(figma.root, FONT_CODEPOINTS_KEY) || {};
+  let next = Math.max(FONT_FIRST_CODEPOINT - 1, ...Object.values(codepoints)) + 1;
+  let changed = false;
+
+  componentSets.forEach(componentSet => {
+    if (codepoints[componentSet.id] !== undefined) {
+      return;
+    }
+    if (next > FONT_LAST_CODEPOINT) {
+      throw new Error('the Private Use Area has no codepoints left for new icons');
+    }
+    codepoints[componentSet.id] = next++;
+    changed = true;
+  });
+
+  if (changed) {
+    figma.root.setPluginData(FONT_CODEPOINTS_KEY, JSON.stringify(codepoints));
+  }
+  return codepoints;
+}
+
+// Helper function to check whether a visible shape in a node still has strokes
+// Hidden layers (like the stroke source kept next to an outline) don't end up in the export
+function hasVisibleStrokes(node) {
+  if (node.visible === false) {
+    return false;
+  }
+  if (SHAPE_NODE_TYPES.includes(node.type)) {
+    return collectNodesWithStrokes(node).length > 0;
+  }
+  return 'children' in node && node.children.some(hasVisibleStrokes);
+}
+
+// Helper function to pick the variant of a set that becomes its font glyph:
+// the largest one without strokes (fonts only render fills), or the largest one if they all have strokes
+function getFontVariant(componentSet) {
+  const components = componentSet.children.filter(child => child.type === 'COMPONENT');
+  const outlined = components.filter(component => !hasVisibleStrokes(component));
+  const candidates = outlined.length > 0 ? outlined : components;
+  return candidates.reduce((largest, component) =>
+    component.width * component.height > largest.width * largest.height ? component : largest, candidates[0]);
+}
+
+// Export one glyph per generated set for the icon font; the UI turns the SVG markup into font outlines
+async function exportFontGlyphs(componentSets) {
+  const codepoints = assignFontCodepoints(componentSets);
+  const glyphs = [];
+
+  for (const componentSet of componentSets) {
+    const component = getFontVariant(componentSet);
+    if (!component) {
+      continue;
+    }
+    glyphs.push({
+      name: componentSet.name,
+      variant: component.name,
+      codepoint: codepoints[componentSet.id],
+      width: component.width,
+      height: component.height,
+      svg: await component.exportAsync({ format: 'SVG_STRING', svgIdAttribute: false })
+    });
+  }
+
+  return glyphs;
+}
+
+// Audit rules in the order their fixes are applied
+// Layers are cleaned up first and the pixel grid is snapped last, after everything has moved
+const AUDIT_RULES = ['hidden-layers', 'empty-layers', 'raster-fills', 'stroke-weight', 'stroke-cap', 'stroke-join',
+  'unoutlined-strokes', 'constraints', 'frame-size', 'off-pixel'];
+
+// Icons shown in the audit panel, re-audited after every fix
+let lastAuditIconIds = [];
+
+// Helper function to find the icons to audit in the selection
+// A section, or a frame that only holds frames and components, is a collection of icons;
+// a component set is audited variant by variant
+function getAuditTargets(selection) {
+  const containerChildTypes = ['FRAME', 'COMPONENT', 'COMPONENT_SET', 'INSTANCE'];
+  const targets = [];
+
+  function addTarget(node) {
+    if (node.type === 'COMPONENT_SET') {
+      node.children.forEach(addTarget);
+    } else if (!targets.includes(node)) {
+      targets.push(node);
+    }
+  }
+
+  selection.forEach(node => {
+    const isContainer = node.type === 'SECTION' ||
+      (node.type === 'FRAME' && node.children.length > 0 &&
+        node.children.every(child => containerChildTypes.includes(child.type)));
+
+    if (isContainer) {
+      node.children.forEach(child => {
+        if (child.type !== 'TEXT') {
+          addTarget(child);
+        }
+      });
+    } else {
+      addTarget(node);
+    }
+  });
+
+  return targets;
+}
+
+// Helper function to collect every layer inside an icon
+// Instances are not entered (their layers can't be changed) and the stroke source layer kept
+// next to outlined variants is left out, since it is hidden and stroked on purpose
+function collectAuditLayers(root) {
+  const layers = [];
+
+  function walk(node) {
+    node.children.forEach(child => {
+      if (child.name === STROKE_SOURCE_LAYER_NAME && child.locked) {
+        return;
+      }
+      layers.push(child);
+      if ('children' in child && child.type !== 'INSTANCE') {
+        walk(child);
+      }
+    });
+  }
+
+  if ('children' in root && root.type !== 'INSTANCE') {
+    walk(root);
+  }
+  return layers;
+}
+
+// Helper function to check if a paint list has anything visible in it
+function hasVisiblePaint(paints) {
+  return Array.isArray(paints) && paints.some(paint => paint.visible !== false);
+}
+
+// Helper function to check if a layer draws nothing: an empty group or frame,
+// or a shape without a visible fill or stroke (shapes inside a boolean operation are painted by it)
+function isEmptyLayer(node) {
+  if ('children' in node) {
+    return node.type !== 'INSTANCE' && node.children.length === 0;
+  }
+  if (node.parent && node.parent.type === 'BOOLEAN_OPERATION') {
+    return false;
+  }
+  return !hasVisiblePaint(node.fills) && !hasVisiblePaint(node.strokes);
+}
+
+// Helper function to count how often each value of a stroke property is used
+// Mixed values (like different caps on the ends of a vector) are counted as 'mixed'
+function countStrokeValues(strokedNodes, property) {
+  const counts = new Map();
+  strokedNodes.forEach(node => {
+    if (property in node) {
+      const value = typeof node[property] === 'symbol' ? 'mixed' : node[property];
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+  });
+  return counts;
+}
+
+// Helper function to pick the most common value of a stroke property (ignoring mixed values)
+function getMostCommonValue(counts) {
+  let best = null;
+  let bestCount = 0;
+  counts.forEach((count, value) => {
+    if (value !== 'mixed' && count > bestCount) {
+      best = value;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+// Helper function to check if an icon belongs to a set generated by Supericons
+// (its strokes are outlined or kept by the generator, so they aren't flagged)
+function isGeneratedVariant(node) {
+  return node.type === 'COMPONENT' && node.parent && node.parent.type === 'COMPONENT_SET' &&
+    !!readPluginDataJson(node.parent, GENERATED_SET_KEY);
+}
+
+// Check one icon for problems that make it scale or export badly
+// Returns a list of { rule, message, fixable, count } issues, in the order of AUDIT_RULES
+async function auditIcon(node, settings) {
+  const issues = [];
+  const layers = collectAuditLayers(node);
+  const strokedNodes = collectNodesWithStrokes(node).filter(n => n.visible !== false && (n === node || layers.includes(n)));
+
+  const hidden = layers.filter(layer => layer.visible === false);
+  if (hidden.length > 0) {
+    issues.push({ rule: 'hidden-layers', message: `${hidden.length} hidden layer(s)`, fixable: true, count: hidden.length });
+  }
+
+  const empty = layers.filter(layer => layer.visible !== false && isEmptyLayer(layer));
+  if (empty.length > 0) {
+    issues.push({ rule: 'empty-layers', message: `${empty.length} empty layer(s)`, fixable: true, count: empty.length });
+  }
+
+  const raster = layers.filter(layer =>
+    [layer.fills, layer.strokes].some(paints => Array.isArray(paints) &&
+      paints.some(paint => paint.type === 'IMAGE' || paint.type === 'VIDEO')));
+  if (raster.length > 0) {
+    issues.push({
+      rule: 'raster-fills',
+      message: `Image fills on: ${raster.map(layer => layer.name).join(', ')}`,
+      fixable: false,
+      count: raster.length
+    });
+  }
+
+  const strokeChecks = [
+    { rule: 'stroke-weight', property: 'strokeWeight', label: 'stroke weights' },
+    { rule: 'stroke-cap', property: 'strokeCap', label: 'stroke caps' },
+    { rule: 'stroke-join', property: 'strokeJoin', label: 'stroke joins' }
+  ];
+  strokeChecks.forEach(check => {
+    const counts = countStrokeValues(strokedNodes, check.property);
+    if (counts.size > 1) {
+      const values = Array.from(counts.keys()).map(value => String(value).toLowerCase());
+      issues.push({ rule: check.rule, message: `Mixed ${check.label}: ${values.join(', ')}`, fixable: true, count: counts.size });
+    }
+  });
+
+  const outlineExpected = settings.outlineFlattenEnabled && settings.outlineMode !== 'style-axis';
+  if (outlineExpected && strokedNodes.length > 0 && !isGeneratedVariant(node)) {
+    issues.push({
+      rule: 'unoutlined-strokes',
+      message: `${strokedNodes.length} stroke(s) not outlined`,
+      fixable: true,
+      count: strokedNodes.length
+    });
+  }
+
+  const unscaled = layers.filter(layer => layer.constraints &&
+    (layer.constraints.horizontal !== 'SCALE' || layer.constraints.vertical !== 'SCALE'));
+  if (unscaled.length > 0 && 'children' in node && node.type !== 'GROUP') {
+    issues.push({
+      rule: 'constraints',
+      message: `${unscaled.length} layer(s) won't scale with the icon`,
+      fixable: node.type !== 'INSTANCE',
+      count: unscaled.length
+    });
+  }
+
+  const isSquare = Math.abs(node.width - node.height) < 0.001;
+  const isWhole = Number.isInteger(node.width) && Number.isInteger(node.height);
+  if (!isSquare || !isWhole) {
+    const size = `${Math.round(node.width * 100) / 100}×${Math.round(node.height * 100) / 100}`;
+    issues.push({
+      rule: 'frame-size',
+      message: isSquare ? `Frame size isn't whole pixels (${size})` : `Frame isn't square (${size})`,
+      fixable: node.type === 'FRAME' || node.type === 'COMPONENT',
+      count: 1
+    });
+  }
+
+  if (node.type !== 'INSTANCE') {
+    const offPixel = await snapToPixelGrid(node, true);
+    if (offPixel.points > 0) {
+      issues.push({
+        rule: 'off-pixel',
+        message: `${offPixel.points} point(s) off the pixel grid (up to ${Math.round(offPixel.maxShift * 100) / 100}px)`,
+        fixable: true,
+        count: offPixel.points
+      });
+    }
+  }
+
+  return issues;
+}
+
+// Fix one audit rule on an icon
+// Returns the icon node, which is new when the icon itself was a stroked shape that got outlined
+async function fixAuditIssue(node, rule) {
+  const layers = collectAuditLayers(node);
+  const strokedNodes = collectNodesWithStrokes(node).filter(n => n.visible !== false && (n === node || layers.includes(n)));
+
+  if (rule === 'hidden-layers') {
+    layers.filter(layer => layer.visible === false && !layer.removed).forEach(layer => layer.remove());
+  } else if (rule === 'empty-layers') {
+    // Deepest layers first, so a group left empty by removing its children goes too
+    layers.reverse().forEach(layer => {
+      if (!layer.removed && layer.visible !== false && isEmptyLayer(layer)) {
+        layer.remove();
+      }
+    });
+  } else if (rule === 'stroke-weight') {
+    const weight = getMainStrokeWeight(node);
+    if (weight > 0) {
+      strokedNodes.forEach(strokedNode => applyStrokeToVectors(strokedNode, weight));
+    }
+  } else if (rule === 'stroke-cap' || rule === 'stroke-join') {
+    const property = rule === 'stroke-cap' ? 'strokeCap' : 'strokeJoin';
+    const value = getMostCommonValue(countStrokeValues(strokedNodes, property));
+    if (value) {
+      strokedNodes.forEach(strokedNode => {
+        if (property in strokedNode) {
+          strokedNode[property] = value;
+        }
+      });
+    }
+  } else if (rule === 'unoutlined-strokes') {
+    const outline = outlineStrokes(node);
+    if (outline.unavailable.length > 0) {
+      throw new Error(`Outline stroke unavailable for: ${outline.unavailable.join(', ')}`);
+    }
+    return outline.node;
+  } else if (rule === 'constraints') {
+    node.children.forEach(child => setConstraintsToScale(child));
+  } else if (rule === 'frame-size') {
+    // Grow the frame to a whole-pixel square around the artwork, without scaling the artwork
+    const size = Math.max(1, Math.round(Math.max(node.width, node.height)));
+    const dx = Math.round((size - node.width) / 2);
+    const dy = Math.round((size - node.height) / 2);
+    node.resizeWithoutConstraints(size, size);
+    node.children.forEach(child => {
+      child.x += dx;
+      child.y += dy;
+    });
+  } else if (rule === 'off-pixel') {
+    await snapToPixelGrid(node);
+  }
+
+  return node;
+}
+
+// Audit the icons with the given ids and send the results to the UI
+async function postAuditResult(iconIds, settings) {
+  const icons = [];
+  for (const id of iconIds) {
+    const node = await figma.getNodeByIdAsync(id);
+    if (!node) {
+      continue;
+    }
+    icons.push({ id: node.id, name: node.name, issues: await auditIcon(node, settings) });
+  }
+
+  lastAuditIconIds = icons.map(icon => icon.id);
+  figma.ui.postMessage({ type: 'audit-result', icons: icons });
+  return icons;
+}
+
+// Batch runs yield to Figma after every few icons
+const BATCH_CHUNK_SIZE = 5;
+
+// The batch that is running, if any ({ cancelled } is set by the Cancel button)
+let batchRun = null;
+
+// Layers a batch never treats as icons: labels, sections that group icons (like "Imported SVGs"),
+// and components, sets and instances (Supericons' own output, or icons that are already components)
+const BATCH_SKIPPED_TYPES = ['TEXT', 'SECTION', 'COMPONENT', 'COMPONENT_SET', 'INSTANCE'];
+
+// Find the icons for a batch run: every direct child of the selected frame or section, or of the page
+// Supericons' own output (sets and icon sheets) is skipped, so running a batch again doesn't process it
+function getBatchIcons(scope) {
+  let container = figma.currentPage;
+  if (scope !== 'page') {
+    const selection = figma.currentPage.selection;
+    if (selection.length !== 1 || (selection[0].type !== 'FRAME' && selection[0].type !== 'SECTION')) {
+      return { error: 'Select one frame or section to run a batch on its icons' };
+    }
+    container = selection[0];
+  }
+
+  const icons = container.children.filter(child =>
+    child.visible !== false && !BATCH_SKIPPED_TYPES.includes(child.type) &&
+    !(child.type === 'FRAME' && child.getPluginData(ICON_SHEET_KEY)));
+  return { container: container, icons: icons };
+}
+
+// Where the sets of a batch run start: to the right of the frame or section the icons are in,
+// or to the right of everything on the page
+function getBatchOrigin(container) {
+  if (container && container.type !== 'PAGE' && container.absoluteBoundingBox) {
+    const box = container.absoluteBoundingBox;
+    return { x: box.x + box.width + 100, y: box.y };
+  }
+
+  const nodes = figma.currentPage.children;
+  if (nodes.length === 0) {
+    return { x: 0, y: 0 };
+  }
+  return {
+    x: Math.max(...nodes.map(node => node.x + node.width)) + 200,
+    y: Math.min(...nodes.map(node => node.y))
+  };
+}
+
+// Create a set for each icon, a few icons at a time, posting progress to the UI after each one
+// Stops before the next icon once the run is cancelled; finished sets are kept (and laid out by the caller).
+// Failed icons are rolled back and returned as { id, icon, message } so they can be retried
+// masterIds holds the masters selected for icons drawn at several sizes (see groupIconMasters)
+async function runBatch(icons, settings, run, masterIds) {
+  const setNames = getSetNames(settings.componentName, icons);
+  const report = [];
+  const results = [];
+  const failed = [];
+  const created = [];
+
+  for (const [index, icon] of icons.entries()) {
+    if (run.cancelled) {
+      break;
+    }
+
+    const { name: setName, collision } = setNames[index];
+    try {
+      if (!setName) {
+        throw new Error('The component name template resolves to an empty name');
+      }
+      const componentSet = await createIconSet(icon, settings, setName, report, masterIds.get(icon));
+      created.push(componentSet);
+      if (collision) {
+        report.push({ icon: icon.name, message: `"${setName}" is also the name of ${collision}` });
+      }
+      results.push({ icon: icon.name, success: true, message: `Created "${setName}"` });
+      console.log(`✓ [${index + 1}/${icons.length}] Created "${setName}"`);
+    } catch (error) {
+      console.error(`❌ [${index + 1}/${icons.length}] Error processing icon:`, icon.name, error);
+      failed.push({ id: icon.id, icon: icon.name, message: error.message });
+      results.push({ icon: icon.name, success: false, message: `${error.message} - nothing was created for this icon` });
+    }
+
+    figma.ui.postMessage({
+      type: 'batch-progress',
+      done: index + 1,
+      total: icons.length,
+      failed: failed.length,
+      current: icon.name
+    });
+
+    // Let Figma redraw and handle messages (like Cancel) between chunks
+    if ((index + 1) % BATCH_CHUNK_SIZE === 0) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+
+  return { report, results, failed, created };
+}
+
+// Where generated sets go, and how they are ordered:
+// - source: below the selected icons (or next to the frame a batch ran on)
+// - page / section: on the named page, or in the named section of the current page (created if missing)
+const LAYOUT_TARGETS = ['source', 'page', 'section'];
+const LAYOUT_SORTS = ['none', 'name', 'category'];
+const LAYOUT_GAP = 50;
+const LABEL_FONT = { family: 'Inter', style: 'Regular' };
+
+// Marks an icon sheet frame and records which sets it shows ({ setIds, columns })
+const ICON_SHEET_KEY = 'supericons-sheet';
+
+// Validate the layout options sent by the UI
+// Returns either { layout } or { error } with a message for figma.notify
+function parseLayoutOptions(options) {
+  const raw = options || {};
+  const layout = {
+    target: LAYOUT_TARGETS.includes(raw.target) ? raw.target : 'source',
+    targetName: String(raw.targetName || '').trim(),
+    columns: Math.max(1, Math.min(100, Math.round(Number(raw.columns)) || 8)),
+    sort: LAYOUT_SORTS.includes(raw.sort) ? raw.sort : 'none',
+    labels: !!raw.labels,
+    iconSheet: !!raw.iconSheet
+  };
+
+  if (layout.target !== 'source' && !layout.targetName) {
+    return { error: `Please enter the name of the ${layout.target} to put the sets on` };
+  }
+  return { layout: layout };
+}
+
+// Helper function to get the folder of a slash path name ("arrows/left" -> "arrows")
+function getNameCategory(name) {
+  const index = name.lastIndexOf('/');
+  return index === -1 ? '' : name.slice(0, index);
+}
+
+// Helper function to order sets by name, or by folder and then name
+function sortComponentSets(componentSets, sort) {
+  const compare = (a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+  const sorted = [...componentSets];
+  if (sort === 'name') {
+    sorted.sort((a, b) => compare(a.name, b.name));
+  } else if (sort === 'category') {
+    sorted.sort((a, b) => compare(getNameCategory(a.name), getNameCategory(b.name)) || compare(a.name, b.name));
+  }
+  return sorted;
+}
+
+// Helper function to list the frame sizes in a set ("16, 24, 32" or "32×16, 48×24")
+function getSetSizesLabel(componentSet) {
+  const sizes = [];
+  componentSet.children.forEach(component => {
+    const size = component.width === component.height
+      ? String(Math.round(component.width * 100) / 100)
+      : `${Math.round(component.width * 100) / 100}×${Math.round(component.height * 100) / 100}`;
+    if (!sizes.includes(size)) {
+      sizes.push(size);
+    }
+  });
+  return sizes.join(', ');
+}
+
+// Helper function to create a small grey text (the label font must already be loaded)
+function createLabelText(characters) {
+  const text = figma.createText();
+  text.fontName = LABEL_FONT;
+  text.fontSize = 11;
+  text.characters = characters;
+  text.fills = [{ type: 'SOLID', color: { r: 0.4, g: 0.4, b: 0.4 } }];
+  return text;
+}
+
+// Find or create the page or section the sets are laid out in
+// Returns the parent node and where the grid starts inside it
+async function getLayoutTarget(layout, fallbackOrigin) {
+  if (layout.target === 'page') {
+    let page = figma.root.children.find(child => child.name === layout.targetName);
+    if (!page) {
+      page = figma.createPage();
+      page.name = layout.targetName;
+    }
+    await page.loadAsync();
+
+    // Start to the right of whatever is already on the page
+    const right = page.children.reduce((max, node) => Math.max(max, node.x + node.width + 200), 0);
+    return { parent: page, origin: { x: right, y: 0 } };
+  }
+
+  if (layout.target === 'section') {
+    let section = figma.currentPage.children.find(child => child.type === 'SECTION' && child.name === layout.targetName);
+    if (!section) {
+      section = figma.createSection();
+      section.name = layout.targetName;
+      section.x = getBatchOrigin(null).x;
+      section.y = 0;
+      figma.currentPage.appendChild(section);
+    }
+
+    // Start below whatever is already in the section
+    const bottom = section.children.reduce((max, node) => Math.max(max, node.y + node.height + LAYOUT_GAP), 0);
+    return { parent: section, origin: { x: LAYOUT_GAP, y: Math.max(LAYOUT_GAP, bottom) } };
+  }
+
+  return { parent: figma.currentPage, origin: fallbackOrigin };
+}
+
+// Build (or rebuild) an icon sheet: a frame with an instance of each set's first variant and its name
+// Passing an existing sheet replaces its contents, so instances and labels follow renamed or resized sets
+async function buildIconSheet(componentSets, columns, existingSheet) {
+  await figma.loadFontAsync(LABEL_FONT);
+
+  const sheet = existingSheet || figma.createFrame();
+  [...sheet.children].forEach(child => child.remove());
+
+  const cellWidth = Math.max(96, ...componentSets.map(set => (set.children[0] ? set.children[0].width : 0)));
+  const padding = 32;
+  const spacing = 16;
+  const columnCount = Math.max(1, Math.min(columns, componentSets.length));
+
+  sheet.name = existingSheet ? existingSheet.name : 'Icon Sheet';
+  sheet.layoutMode = 'HORIZONTAL';
+  sheet.layoutWrap = 'WRAP';
+  sheet.primaryAxisSizingMode = 'FIXED';
+  sheet.counterAxisSizingMode = 'AUTO';
+  sheet.itemSpacing = spacing;
+  sheet.counterAxisSpacing = spacing;
+  sheet.paddingLeft = padding;
+  sheet.paddingRight = padding;
+  sheet.paddingTop = padding;
+  sheet.paddingBottom = padding;
+  sheet.resize(padding * 2 + columnCount * cellWidth + (columnCount - 1) * spacing, sheet.height || 100);
+
+  componentSets.forEach(componentSet => {
+    const component = componentSet.children[0];
+    if (!component) {
+      return;
+    }
+
+    const cell = figma.createFrame();
+    cell.name = componentSet.name;
+    cell.fills = [];
+    cell.layoutMode = 'VERTICAL';
+    cell.primaryAxisSizingMode = 'AUTO';
+    cell.counterAxisSizingMode = 'FIXED';
+    cell.counterAxisAlignItems = 'CENTER';
+    cell.itemSpacing = 8;
+    cell.resize(cellWidth, cell.height || 100);
+
+    cell.appendChild(component.createInstance());
+    const label = createLabelText(componentSet.name);
+    cell.appendChild(label);
+    if ('textAlignHorizontal' in label) {
+      label.textAlignHorizontal = 'CENTER';
+    }
+    sheet.appendChild(cell);
+  });
+
+  sheet.setPluginData(ICON_SHEET_KEY, JSON.stringify({
+    setIds: componentSets.map(componentSet => componentSet.id),
+    columns: columns
+  }));
+  return sheet;
+}
+
+// Put generated sets in a grid with the given number of columns, optionally with name and size
+// labels and an icon sheet below the grid. origin is where the grid starts when the sets stay
+// next to their source icons. Returns the parent the sets ended up in
+async function layoutGeneratedSets(componentSets, layout, origin) {
+  const { parent, origin: start } = await getLayoutTarget(layout, origin);
+  const sorted = sortComponentSets(componentSets, layout.sort);
+
+  if (layout.labels) {
+    await figma.loadFontAsync(LABEL_FONT);
+  }
+
+  let x = start.x;
+  let y = start.y;
+  let rowHeight = 0;
+  sorted.forEach((componentSet, index) => {
+    if (index > 0 && index % layout.columns === 0) {
+      x = start.x;
+      y += rowHeight + LAYOUT_GAP;
+      rowHeight = 0;
+    }
+
+    if (componentSet.parent !== parent) {
+      parent.appendChild(componentSet);
+    }
+    componentSet.x = x;
+    componentSet.y = y;
+
+    let width = componentSet.width;
+    let height = componentSet.height;
+    if (layout.labels) {
+      const label = createLabelText(`${componentSet.name}\n${getSetSizesLabel(componentSet)}`);
+      parent.appendChild(label);
+      label.x = x;
+      label.y = y + componentSet.height + 8;
+      width = Math.max(width, label.width);
+      height += 8 + label.height;
+    }
+
+    x += width + LAYOUT_GAP;
+    rowHeight = Math.max(rowHeight, height);
+  });
+
+  if (layout.iconSheet && sorted.length > 0) {
+    const sheet = await buildIconSheet(sorted, layout.columns);
+    parent.appendChild(sheet);
+    sheet.x = start.x;
+    sheet.y = y + rowHeight + LAYOUT_GAP * 2;
+  }
+
+  // Grow the section around its content
+  if (parent.type === 'SECTION') {
+    const right = parent.children.reduce((max, node) => Math.max(max, node.x + node.width), 0);
+    const bottom = parent.children.reduce((max, node) => Math.max(max, node.y + node.height), 0);
+    parent.resizeWithoutConstraints(Math.max(parent.width, right + LAYOUT_GAP), Math.max(parent.height, bottom + LAYOUT_GAP));
+  }
+
+  return parent;
+}
+
+// Rebuild the icon sheets, on any page, that show any of the given sets
+// Returns how many sheets were rebuilt
+async function refreshIconSheets(componentSets) {
+  const setIds = componentSets.map(componentSet => componentSet.id);
+  const sheets = [];
+  await figma.loadAllPagesAsync();
+
+  function walk(node) {
+    node.children.forEach(child => {
+      if (child.type === 'FRAME' && child.getPluginData(ICON_SHEET_KEY)) {
+        sheets.push(child);
+      } else if (child.type === 'SECTION') {
+        walk(child);
+      }
+    });
+  }
+  figma.root.children.forEach(page => walk(page));
+
+  let rebuilt = 0;
+  for (const sheet of sheets) {
+    const record = readPluginDataJson(sheet, ICON_SHEET_KEY);
+    if (!record || !record.setIds.some(id => setIds.includes(id))) {
+      continue;
+    }
+
+    const sheetSets = [];
+    for (const id of record.setIds) {
+      const node = await figma.getNodeByIdAsync(id);
+      if (node && !node.removed && node.type === 'COMPONENT_SET') {
+        sheetSets.push(node);
+      }
+    }
+    await buildIconSheet(sheetSets, record.columns || 8, sheet);
+    rebuilt++;
+  }
+  return rebuilt;
+}
+
+// Helper function to find the page a node is on
+function getNodePage(node) {
+  let page = node;
+  while (page && page.type !== 'PAGE') {
+    page = page.parent;
+  }
+  return page;
+}
+
+// Select the laid out sets, switching to their page if they were moved to another one
+async function selectLaidOutSets(componentSets, parent) {
+  const page = getNodePage(parent);
+  if (page && page !== figma.currentPage) {
+    await figma.setCurrentPageAsync(page);
+  }
+  figma.currentPage.selection = componentSets;
+  figma.viewport.scrollAndZoomIntoView(componentSets);
+}
+
+// Helper function to describe an icon's shapes independent of its size, for finding copies of it
+// Each visible shape gives its type, its box relative to the icon and the commands of its paths;
+// returns null for icons without shapes
+function getGeometryFingerprint(root) {
+  const width = root.width || 1;
+  const height = root.height || 1;
+  const rootTransform = root.absoluteTransform;
+  const round = value => Math.round(value * 100) / 100;
+  const shapes = [];
+
+  function addShape(node) {
+    const transform = node.absoluteTransform;
+    const commands = Array.isArray(node.vectorPaths)
+      ? node.vectorPaths.map(path => path.data.replace(/[^A-Za-z]/g, '')).join('|')
+      : '';
+    shapes.push([
+      node.type,
+      round((transform[0][2] - rootTransform[0][2]) / width),
+      round((transform[1][2] - rootTransform[1][2]) / height),
+      round(node.width / width),
+      round(node.height / height),
+      commands
+    ]);
+  }
+
+  function walk(node) {
+    node.children.forEach(child => {
+      if (child.visible === false) {
+        return;
+      }
+      if (SHAPE_NODE_TYPES.includes(child.type) && child.type !== 'TEXT') {
+        addShape(child);
+      } else if ('children' in child) {
+        walk(child);
+      }
+    });
+  }
+
+  if (SHAPE_NODE_TYPES.includes(root.type)) {
+    addShape(root);
+  } else if ('children' in root) {
+    walk(root);
+  }
+  return shapes.length > 0 ? JSON.stringify(shapes) : null;
+}
+
+// Find pasted copies of a set's source icon on the current page or in the whole document
+// A copy matches when it carries the source's plugin data (copies made after generating)
+// or has the same shapes at any size. Components, instances and the source itself are skipped
+// Copies keep the plugin data when they are redrawn, so those are flagged with geometryDiffers
+async function findIconUsages(componentSet, sourceNode, scope) {
+  const fingerprint = getGeometryFingerprint(sourceNode);
+  const aspect = sourceNode.width / (sourceNode.height || 1);
+  const skippedTypes = ['COMPONENT_SET', 'COMPONENT', 'INSTANCE'];
+
+  let pages = [figma.currentPage];
+  if (scope === 'document') {
+    await figma.loadAllPagesAsync();
+    pages = figma.root.children;
+  }
+
+  const usages = [];
+  function walk(node, page) {
+    node.children.forEach(child => {
+      if (child === sourceNode || skippedTypes.includes(child.type)) {
+        return;
+      }
+
+      let match = null;
+      let geometryDiffers = false;
+      if (child.getPluginData(SOURCE_ICON_KEY) === componentSet.id) {
+        match = 'plugin data';
+        geometryDiffers = getGeometryFingerprint(child) !== fingerprint;
+      } else if (fingerprint && (child.type === 'FRAME' || child.type === 'GROUP' || SHAPE_NODE_TYPES.includes(child.type)) &&
+          Math.abs(child.width / (child.height || 1) - aspect) < 0.01 &&
+          getGeometryFingerprint(child) === fingerprint) {
+        match = 'geometry';
+      }
+
+      if (match) {
+        usages.push({ node: child, page: page, match: match, geometryDiffers: geometryDiffers });
+      } else if ('children' in child) {
+        walk(child, page);
+      }
+    });
+  }
+
+  pages.forEach(page => walk(page, page));
+  return usages;
+}
+
+// Helper function to pick the variant whose frame is closest in size to a usage
+// Ties go to the variant that comes first in the set
+function getClosestVariant(componentSet, width, height) {
+  const size = Math.max(width, height);
+  let closest = null;
+  let closestDiff = Infinity;
+  componentSet.children.forEach(component => {
+    const diff = Math.abs(Math.max(component.width, component.height) - size);
+    if (diff < closestDiff - 0.001) {
+      closest = component;
+      closestDiff = diff;
+    }
+  });
+  return closest;
+}
+
+// Helper function to find the most used solid color in a node, with a paint that has it
+function getMainSolidPaint(node) {
+  const counts = collectSolidColors(node, new Map());
+  let mainColor = null;
+  counts.forEach((count, color) => {
+    if (!mainColor || count > counts.get(mainColor)) {
+      mainColor = color;
+    }
+  });
+  if (!mainColor) {
+    return null;
+  }
+
+  let found = null;
+  function walk(n) {
+    ['fills', 'strokes'].forEach(field => {
+      if (!found && Array.isArray(n[field])) {
+        found = n[field].find(paint => paint.type === 'SOLID' && paint.visible !== false && getPaintHex(paint.color) === mainColor) || null;
+      }
+    });
+    if (!found && 'children' in n) {
+      n.children.forEach(walk);
+    }
+  }
+  walk(node);
+  return found;
+}
+
+// Recolor an instance where a usage had a different color than the component
+// (for example a copy that was tinted red); paints of the component's main color get the usage's color
+function applyColorOverride(instance, component, usage) {
+  const usagePaint = getMainSolidPaint(usage);
+  const componentPaint = getMainSolidPaint(component);
+  if (!usagePaint || !componentPaint) {
+    return false;
+  }
+  const componentColor = getPaintHex(componentPaint.color);
+  if (getPaintHex(usagePaint.color) === componentColor && (usagePaint.opacity || 1) === (componentPaint.opacity || 1)) {
+    return false;
+  }
+
+  function walk(node) {
+    ['fills', 'strokes'].forEach(field => {
+      const paints = node[field];
+      if (Array.isArray(paints) && paints.some(paint => paint.type === 'SOLID' && getPaintHex(paint.color) === componentColor)) {
+        node[field] = paints.map(paint => {
+          if (paint.type !== 'SOLID' || getPaintHex(paint.color) !== componentColor) {
+            return paint;
+          }
+          const override = Object.assign({}, paint, { color: usagePaint.color, opacity: usagePaint.opacity });
+          delete override.boundVariables;
+          return override;
+        });
+      }
+    });
+    if ('children' in node) {
+      node.children.forEach(walk);
+    }
+  }
+  walk(instance);
+  return true;
+}
+
+// Replace a usage with an instance of the closest variant, in the same place in the layer tree
+// Keeps the usage's name, position, rotation, constraints, auto layout settings and color
+function swapUsage(usage, componentSet) {
+  const component = getClosestVariant(componentSet, usage.width, usage.height);
+  const instance = component.createInstance();
+  const parent = usage.parent;
+  parent.insertChild(parent.children.indexOf(usage), instance);
+
+  if (usage.rotation) {
+    instance.rotation = usage.rotation;
+  }
+  instance.x = usage.x;
+  instance.y = usage.y;
+  if (Math.abs(instance.width - usage.width) > 0.01 || Math.abs(instance.height - usage.height) > 0.01) {
+    instance.resize(usage.width, usage.height);
+  }
+
+  instance.name = usage.name;
+  ['constraints', 'layoutAlign', 'layoutGrow', 'layoutPositioning', 'opacity', 'visible', 'locked'].forEach(key => {
+    if (key in usage && key in instance && usage[key] !== undefined) {
+      instance[key] = usage[key];
+    }
+  });
+  applyColorOverride(instance, component, usage);
+
+  usage.remove();
+  return { instance: instance, variant: component.name };
+}
+
+// Find the usages of every selected generated set
+// Returns one { componentSet, usages } entry per set whose source icon still exists
+async function getSelectedSetUsages(scope) {
+  const entries = [];
+  for (const componentSet of getSelectedGeneratedSets()) {
+    const record = readPluginDataJson(componentSet, GENERATED_SET_KEY);
+    const sourceNode = await figma.getNodeByIdAsync(record.sourceId);
+    if (sourceNode && !sourceNode.removed) {
+      entries.push({ componentSet: componentSet, usages: await findIconUsages(componentSet, sourceNode, scope) });
+    }
+  }
+  return entries;
+}
+
+// Find every set generated by Supericons in the document, as { componentSet, page }
+async function findGeneratedSets() {
+  await figma.loadAllPagesAsync();
+
+  const entries = [];
+  function walk(node, page) {
+    node.children.forEach(child => {
+      if (child.type === 'COMPONENT_SET') {
+        if (readPluginDataJson(child, GENERATED_SET_KEY)) {
+          entries.push({ componentSet: child, page: page });
+        }
+      } else if ('children' in child && child.type !== 'INSTANCE') {
+        walk(child, page);
+      }
+    });
+  }
+  figma.root.children.forEach(page => walk(page, page));
+  return entries;
+}
+
+// Check every set generated by Supericons in the document against its source icon
+// Returns the sets that are out of date as { componentSet, page, sourceNode, status } and how many were checked;
+// the status is 'deleted' (the source is gone), 'changed' (the source, its masters or the stored settings
+// differ from when the set was generated) or 'unknown' (generated before fingerprints were stored)
+async function checkSetFreshness() {
+  const entries = await findGeneratedSets();
+  const stale = [];
+  for (const entry of entries) {
+    const record = readPluginDataJson(entry.componentSet, GENERATED_SET_KEY);
+    const sourceNode = await figma.getNodeByIdAsync(record.sourceId);
+
+    let status = null;
+    if (!sourceNode || sourceNode.removed) {
+      status = 'deleted';
+    } else if (!record.fingerprint) {
+      status = 'unknown';
+    } else if (record.fingerprint !== await getSourceFingerprint(sourceNode, record.settings)) {
+      status = 'changed';
+    }
+
+    if (status) {
+      stale.push(Object.assign(entry, { sourceNode: sourceNode, status: status }));
+    }
+  }
+  return { stale: stale, checked: entries.length };
+}
+
+// Check the freshness of every generated set and send the out of date ones to the UI
+async function postFreshness() {
+  const { stale, checked } = await checkSetFreshness();
+  figma.ui.postMessage({
+    type: 'freshness',
+    checked: checked,
+    sets: stale.map(({ componentSet, page, sourceNode, status }) => ({
+      id: componentSet.id,
+      name: componentSet.name,
+      page: page.name,
+      sourceId: sourceNode ? sourceNode.id : null,
+      status: status
+    }))
+  });
+}
+
+// Re-render every variant of a generated set from its source icon, with the settings it was generated with
+async function regenerateSet(componentSet, report) {
+  const record = readPluginDataJson(componentSet, GENERATED_SET_KEY);
+  const { settings, error } = parseGenerationSettings(record.settings);
+  if (error) {
+    throw new Error(error);
+  }
+  return updateGeneratedSet(componentSet, settings, report, true);
+}
+
+// Build icons.json: every generated set in the document with its component key, variants,
+// sizes and stroke weights and its source node, so a codebase can check it covers the library
+async function buildIconManifest() {
+  const round = value => Math.round(value * 100) / 100;
+  const sets = [];
+
+  for (const { componentSet, page } of await findGeneratedSets()) {
+    const record = readPluginDataJson(componentSet, GENERATED_SET_KEY);
+    const sourceNode = await figma.getNodeByIdAsync(record.sourceId);
+
+    const variants = componentSet.children.filter(child => child.type === 'COMPONENT').map(component => {
+      const stroke = getMainStrokeWeight(component);
+      // Variant names read "Size=16, Weight=Bold"
+      const properties = component.variantProperties || component.name.split(',').reduce((result, part) => {
+        const [name, value] = part.split('=').map(text => text.trim());
+        result[name] = value;
+        return result;
+      }, {});
+      return {
+        name: component.name,
+        key: component.key,
+        id: component.id,
+        properties: properties,
+        width: round(component.width),
+        height: round(component.height),
+        strokeWeight: stroke > 0 ? round(stroke) : null
+      };
+    });
+
+    const links = componentSet.documentationLinks || [];
+    sets.push({
+      name: componentSet.name,
+      key: componentSet.key,
+      id: componentSet.id,
+      page: page.name,
+      sourceId: record.sourceId,
+      sourceExists: !!(sourceNode && !sourceNode.removed),
+      description: componentSet.description || '',
+      keywords: sourceNode && !sourceNode.removed ? getIconKeywords(sourceNode, record.settings || {}) : [],
+      documentationLink: links.length > 0 ? links[0].uri : null,
+      sizes: Array.from(new Set(variants.map(variant => Math.max(variant.width, variant.height)))).sort((a, b) => a - b),
+      strokeWeights: Array.from(new Set(variants.map(variant => variant.strokeWeight).filter(weight => weight !== null)))
+        .sort((a, b) => a - b),
+      variants: variants
+    });
+  }
+
+  return {
+    generator: 'Supericons',
+    file: figma.root.name,
+    exportedAt: new Date().toISOString(),
+    sets: sets
+  };
+}
+
+// Helper function to let the UI know a batch ended before it started
+function endBatchEarly(message) {
+  figma.notify(message);
+  figma.ui.postMessage({ type: 'batch-done', error: message, total: 0, created: 0, failed: [], cancelled: false });
+}
+
+// Run a batch over the icons, lay out the new sets and report the outcome to the UI
+// container is where the icons came from (the sets go next to it); preface holds report entries
+// and results from before the run, like SVG files that could not be imported
+async function processBatch(nodes, settings, layout, container, preface = { report: [], results: [] }) {
+  const { icons, masterIds } = groupIconMasters(nodes);
+  const run = { cancelled: false };
+  batchRun = run;
+  try {
+    const origin = getBatchOrigin(container);
+    const { report, results, failed, created } = await runBatch(icons, settings, run, masterIds);
+    const parent = created.length > 0 ? await layoutGeneratedSets(created, layout, origin) : null;
+    postGenerationReport(preface.report.concat(report), preface.results.concat(results));
+    figma.ui.postMessage({
+      type: 'batch-done',
+      total: icons.length,
+      created: created.length,
+      failed: failed,
+      cancelled: run.cancelled
+    });
+
+    if (created.length > 0) {
+      await selectLaidOutSets(created, parent);
+    }
+
+    const processed = created.length + failed.length;
+    const summary = `Created ${created.length} of ${icons.length} component sets` +
+      (failed.length > 0 ? ` - ${failed.length} failed` : '');
+    figma.notify(run.cancelled ? `Batch cancelled after ${processed} icons. ${summary}` : summary,
+      { error: failed.length > 0 });
+  } catch (batchError) {
+    figma.notify(`Error: ${batchError.message}`);
+    console.error('Error running batch:', batchError);
+    figma.ui.postMessage({ type: 'batch-done', error: batchError.message, total: icons.length, created: 0, failed: [], cancelled: true });
+  } finally {
+    batchRun = null;
+  }
+}
+
+// Create a frame for each imported SVG file, named after the file, in a new section
+// The frames are the source icons of the sets, so they are kept. Returns the frames,
+// the section and a failed result for every file Figma could not parse
+function importSvgFiles(files, columns) {
+  const origin = getBatchOrigin(null);
+  const section = figma.createSection();
+  section.name = 'Imported SVGs';
+  section.x = origin.x;
+  section.y = origin.y;
+  figma.currentPage.appendChild(section);
+
+  const icons = [];
+  const results = [];
+  let x = LAYOUT_GAP;
+  let y = LAYOUT_GAP;
+  let rowHeight = 0;
+  files.forEach(file => {
+    try {
+      const node = figma.createNodeFromSvg(file.svg);
+      node.name = file.name;
+      section.appendChild(node);
+
+      if (icons.length > 0 && icons.length % columns === 0) {
+        x = LAYOUT_GAP;
+        y += rowHeight + LAYOUT_GAP;
+        rowHeight = 0;
+      }
+      node.x = x;
+      node.y = y;
+      x += node.width + LAYOUT_GAP;
+      rowHeight = Math.max(rowHeight, node.height);
+      icons.push(node);
+      console.log(`✓ Imported ${file.name}`);
+    } catch (e) {
+      console.error(`❌ Error importing ${file.name}:`, e);
+      results.push({ icon: file.name, success: false, message: `Could not be imported: ${e.message}` });
+    }
+  });
+
+  if (icons.length === 0) {
+    section.remove();
+    return { icons: icons, section: null, results: results };
+  }
+
+  const right = icons.reduce((max, node) => Math.max(max, node.x + node.width), 0);
+  section.resizeWithoutConstraints(right + LAYOUT_GAP, y + rowHeight + LAYOUT_GAP);
+  return { icons: icons, section: section, results: results };
+}
+
+// Create a set for each selected icon (the masters of one icon together), then lay out and select them
+// Each icon is all-or-nothing: if anything fails, every node created for it is removed again.
+// Returns the created sets, notes about the variants, the outcome for each icon and a summary for figma.notify
+async function createSelectedSets(settings, layout) {
+  const { componentName, variants } = settings;
+
+  // Masters of the same icon drawn at several sizes become one set
+  const { icons: selectedNodes, masterIds } = groupIconMasters([...figma.currentPage.selection]);
+  const setNames = getSetNames(componentName, selectedNodes);
+
+  // Sets are laid out together once every icon has been processed
+  const createdComponentSets = [];
+  const report = [];
+  const results = [];
+
+  for (const [nodeIndex, selectedNode] of selectedNodes.entries()) {
+    // Set the name of the component set from the name template
+    const { name: setName, collision } = setNames[nodeIndex];
+    if (!setName) {
+      results.push({ icon: selectedNode.name, success: false, message: 'The component name template resolves to an empty name' });
+      continue;
+    }
+
+    try {
+      const componentSet = await createIconSet(selectedNode, settings, setName, report, masterIds.get(selectedNode));
+      createdComponentSets.push(componentSet);
+      if (collision) {
+        report.push({ icon: selectedNode.name, message: `"${setName}" is also the name of ${collision}` });
+      }
+      results.push({
+        icon: selectedNode.name,
+        success: true,
+        message: `Created "${setName}" with ${variants.length} variant${variants.length === 1 ? '' : 's'}`
+      });
+    } catch (nodeError) {
+      console.error(`Error processing icon ${nodeIndex + 1}:`, nodeError);
+      results.push({
+        icon: selectedNode.name,
+        success: false,
+        message: `${nodeError.message} - nothing was created for this icon`
+      });
+    }
+  }
+
+  // Lay out and select what was created; if nothing was, the original selection is left as it was
+  if (createdComponentSets.length > 0) {
+    // The grid starts below the first selected icon
+    const firstBox = selectedNodes[0].absoluteBoundingBox;
+    const parent = await layoutGeneratedSets(createdComponentSets, layout, {
+      x: firstBox.x,
+      y: firstBox.y + firstBox.height + LAYOUT_GAP
+    });
+    await selectLaidOutSets(createdComponentSets, parent);
+  }
+
+  const failedCount = results.filter(result => !result.success).length;
+  let message;
+  if (failedCount > 0) {
+    message = `Created ${createdComponentSets.length} of ${selectedNodes.length} component sets - ` +
+      `${failedCount} failed and ${failedCount === 1 ? 'was' : 'were'} rolled back`;
+  } else if (selectedNodes.length === 1) {
+    message = `Component set "${setNames[0].name}" created with ${variants.length} variants`;
+  } else {
+    message = `Created ${selectedNodes.length} component sets with ${variants.length} variants each`;
+  }
+
+  return {
+    created: createdComponentSets,
+    report: report,
+    results: results,
+    summary: { message: message, error: failedCount > 0 }
+  };
+}
+
+// Remember the settings of the last run, so the panel and "Create with Last Settings" start from them
+// Merged into the stored config so UI-only state (like the active preset) is kept
+// Returns the write, so commands can wait for it before closing the plugin
+function saveLastConfig(settings) {
+  return figma.clientStorage.getAsync('supericons-config').then(savedConfig => figma.clientStorage.setAsync(
+    'supericons-config',
+    Object.assign({}, savedConfig, { componentName: settings.componentName }, getSettingsConfig(settings))
+  )).catch(e => {
+    console.error('Error saving config:', e);
+  });
+}
+
+// Send the notes collected while generating variants to the UI (an empty report clears it)
+// results has one { icon, success, message } entry per icon or set that was processed
+function postGenerationReport(report, results) {
+  figma.ui.postMessage({
+    type: 'generation-report',
+    entries: report,
+    results: results || []
+  });
+}
+
+// Send the current selection to the UI, including any Supericons-generated sets
+function postSelectionState() {
+  const selections = figma.currentPage.selection;
+
+  if (selections.length > 0) {
+    const selectionNames = selections.map(s => s.name);
+    const generatedSets = getSelectedGeneratedSets().map(componentSet => ({
+      id: componentSet.id,
+      name: componentSet.name,
+      settings: readPluginDataJson(componentSet, GENERATED_SET_KEY).settings
+    }));
+
+    // Drawings that can be marked as size masters (with the size they are the master for)
+    // or given search keywords
+    const drawings = selections
+      .filter(node => node.type !== 'COMPONENT_SET' && !(node.parent && node.parent.type === 'COMPONENT_SET'))
+      .slice(0, MASTER_LIST_MAX);
+    const masters = drawings.map(node => ({
+      id: node.id,
+      name: node.name,
+      size: getMasterSize(node),
+      manual: node.getPluginData(MASTER_SIZE_KEY) !== ''
+    }));
+    const keywordIcons = drawings.map(node => ({
+      id: node.id,
+      name: node.name,
+      keywords: node.getPluginData(ICON_KEYWORDS_KEY)
+    }));
+
+    figma.ui.postMessage({
+      type: 'selection-changed',
+      hasSelection: true,
+      selectionNames: selectionNames,
+      selectionCount: selections.length,
+      generatedSets: generatedSets,
+      masters: masters,
+      keywordIcons: keywordIcons
+    });
+  } else {
+    figma.ui.postMessage({
+      type: 'selection-changed',
+      hasSelection: false
+    });
+  }
+}
+
+
+// Menu commands (and quick actions) that run without the panel; any other command opens it
+const PANEL_FREE_COMMANDS = ['create-last', 'create-preset', 'create-sizes', 'audit', 'regenerate'];
+
+// Sizes offered for the "Create Sizes" quick action before anything is typed
+const SIZE_SUGGESTIONS = ['16, 20, 24', '16, 24, 32', '12, 16, 20, 24', '16, 20, 24, 32, 48'];
+
+// Helper function to read a list of sizes like "16, 20, 24" or "16/20/24" (null if any part isn't a size)
+function parseSizeList(text) {
+  const parts = String(text || '').split(/[\s,/]+/).filter(part => part !== '');
+  const sizes = parts.map(part => parseFloat(part));
+  if (sizes.length === 0 || sizes.some(size => !(size > 0))) {
+    return null;
+  }
+  return Array.from(new Set(sizes));
+}
+
+// The settings of the last run (the config the panel saves), or null if there is none yet
+async function getLastConfig() {
+  const savedConfig = await figma.clientStorage.getAsync('supericons-config');
+  return savedConfig && typeof savedConfig === 'object' ? savedConfig : null;
+}
+
+// Suggestions for the quick action parameters, filtered by what has been typed so far
+figma.parameters.on('input', async ({ key, query, result }) => {
+  const typed = (query || '').trim().toLowerCase();
+
+  if (key === 'preset') {
+    const names = (await getPresets()).map(preset => preset.name);
+    result.setSuggestions(names.filter(name => name.toLowerCase().includes(typed)));
+    return;
+  }
+
+  if (key === 'sizes') {
+    if (typed && !parseSizeList(typed)) {
+      result.setError('Type sizes separated by commas, like 16, 20, 24');
+      return;
+    }
+    // What was typed comes first, tidied up ("16/20 24" -> "16, 20, 24")
+    const typedSizes = typed ? parseSizeList(typed).join(', ') : '';
+    const suggestions = SIZE_SUGGESTIONS.filter(sizes => sizes.startsWith(typed) && sizes !== typedSizes);
+    result.setSuggestions(typedSizes ? [typedSizes].concat(suggestions) : suggestions);
+    return;
+  }
+
+  if (key === 'property') {
+    const lastConfig = await getLastConfig();
+    const names = ((lastConfig && lastConfig.properties) || [])
+      .map(property => property && property.name)
+      .filter(name => typeof name === 'string' && name);
+    if (!names.includes('Size')) {
+      names.push('Size');
+    }
+    result.setSuggestions(names.filter(name => name.toLowerCase().includes(typed)));
+  }
+});
+
+// The settings a panel-free command creates sets with (throws with a message for closePlugin)
+// create-last uses the last run's settings, create-preset a saved preset's, and create-sizes the
+// last run's with the sizes as the values of one property (Size unless another is given)
+async function getCommandConfig(command, parameters) {
+  const lastConfig = await getLastConfig();
+
+  if (command === 'create-preset') {
+    const preset = (await getPresets()).find(p => p.name === parameters.preset);
+    if (!preset) {
+      throw new Error(`There is no preset called "${parameters.preset}"`);
+    }
+    return preset.config;
+  }
+
+  if (command === 'create-sizes') {
+    const sizes = parseSizeList(parameters.sizes);
+    if (!sizes) {
+      throw new Error('Type sizes separated by commas, like 16, 20, 24');
+    }
+    const propertyName = (parameters.property || 'Size').trim() || 'Size';
+    const values = sizes.map(size => ({ name: String(size), size: size }));
+    const properties = ((lastConfig && lastConfig.properties) || []).filter(property => property.name !== propertyName);
+    // Other properties keep their values but no longer size the variants
+    const otherProperties = properties.map(property => ({
+      name: property.name,
+      values: (property.values || []).map(value => Object.assign({}, value, { size: undefined, width: undefined, height: undefined }))
+    }));
+    return Object.assign({}, lastConfig, { properties: [{ name: propertyName, values: values }].concat(otherProperties) });
+  }
+
+  if (!lastConfig) {
+    throw new Error('Create a set in the Supericons panel first, to have settings to reuse');
+  }
+  return lastConfig;
+}
+
+// Run a menu command or quick action without opening the panel, then close with a summary
+async function runCommand(command, parameters) {
+  try {
+    if (command === 'audit') {
+      const targets = getAuditTargets(figma.currentPage.selection);
+      if (targets.length === 0) {
+        figma.closePlugin('Please select icons, or a frame or section of icons, to audit');
+        return;
+      }
+      const settings = (await getLastConfig()) || {};
+      let issueCount = 0;
+      let iconsWithIssues = 0;
+      for (const node of targets) {
+        const issues = await auditIcon(node, settings);
+        issueCount += issues.length;
+        iconsWithIssues += issues.length > 0 ? 1 : 0;
+      }
+      figma.closePlugin(issueCount === 0
+        ? `✓ No issues found in ${targets.length} icon(s)`
+        : `Found ${issueCount} issue(s) in ${iconsWithIssues} of ${targets.length} icon(s) - open Supericons to fix them`);
+      return;
+    }
+
+    if (command === 'regenerate') {
+      const componentSets = getSelectedGeneratedSets();
+      if (componentSets.length === 0) {
+        figma.closePlugin('Please select a component set created by Supericons');
+        return;
+      }
+      let failedCount = 0;
+      let overridden = 0;
+      for (const componentSet of componentSets) {
+        try {
+          const summary = await regenerateSet(componentSet, []);
+          overridden += summary.overridden;
+          console.log(`🔄 Regenerated ${componentSet.name}`);
+        } catch (setError) {
+          failedCount++;
+          console.error(`❌ Error regenerating ${componentSet.name}:`, setError);
+        }
+      }
+      await refreshIconSheets(componentSets);
+      figma.closePlugin((failedCount > 0
+        ? `⚠ Regenerated ${componentSets.length - failedCount} set(s), ${failedCount} failed`
+        : `✓ Regenerated ${componentSets.length} set(s)`) + getOverrideNote({ overridden: overridden }));
+      return;
+    }
+
+    if (figma.currentPage.selection.length === 0) {
+      figma.closePlugin('Please select at least one icon');
+      return;
+    }
+    const config = await getCommandConfig(command, parameters);
+    const { settings, error } = parseGenerationSettings(config);
+    const { layout, error: layoutError } = parseLayoutOptions(config.layout);
+    if (error || layoutError) {
+      figma.closePlugin(error || layoutError);
+      return;
+    }
+
+    const { created, summary } = await createSelectedSets(settings, layout);
+    if (created.length > 0) {
+      await saveLastConfig(settings);
+    }
+    figma.closePlugin(summary.message);
+  } catch (error) {
+    console.error(`Error running ${command}:`, error);
+    figma.closePlugin(`Error: ${error.message}`);
+  }
+}
+
+// Open the panel with the saved configuration and the current selection
+function openPanel() {
+  figma.showUI(__html__, { width: 400, height: 600 });
+
+  // Load and send saved configuration to UI on startup
+  (async () => {
+    try {
+      const savedConfig = await figma.clientStorage.getAsync('supericons-config');
+      if (savedConfig) {
+        figma.ui.postMessage({
+          type: 'load-config',
+          config: savedConfig
+        });
+      }
+    } catch (e) {
+      console.error('Error loading config:', e);
+    }
+  })();
+
+  // Check if there's a selection when plugin opens
+  if (figma.currentPage.selection.length > 0) {
+    postSelectionState();
+  }
+
+  // Listen for selection changes
+  figma.on('selectionchange', () => {
+    postSelectionState();
+  });
+}
+
+if (PANEL_FREE_COMMANDS.includes(figma.command)) {
+  // Parameters are only known once the run event fires
+  figma.on('run', ({ command, parameters }) => runCommand(command, parameters || {}));
+} else {
+  openPanel();
+}
+
+// Messages that write sets into the document; previews wait until none of them is running
+const GENERATION_MESSAGES = ['create-component', 'create-batch', 'import-svgs', 'update-component-set', 'regenerate-sets'];
+// How many of those are running right now
+let generationsRunning = 0;
+
+figma.ui.onmessage = async (msg) => {
+  if (!GENERATION_MESSAGES.includes(msg.type)) {
+    await handleUiMessage(msg);
+    return;
+  }
+
+  generationsRunning++;
+  // A preview that is still rendering stops before its next variant
+  previewRequestId++;
+  try {
+    await handleUiMessage(msg);
+  } finally {
+    generationsRunning--;
+  }
+};
+
+// Handle one message from the UI
+async function handleUiMessage(msg) {
+  // Save configuration
+  if (msg.type === 'save-config') {
+    try {
+      await figma.clientStorage.setAsync('supericons-config', msg.config);
+    } catch (e) {
+      console.error('Error saving config:', e);
+    }
+    return;
+  }
+
+  // Request saved configuration
+  if (msg.type === 'request-config') {
+    try {
+      const savedConfig = await figma.clientStorage.getAsync('supericons-config');
+      figma.ui.postMessage({
+        type: 'load-config',
+        config: savedConfig || null
+      });
+    } catch (e) {
+      console.error('Error loading config:', e);
+      figma.ui.postMessage({
+        type: 'load-config',
+        config: null
+      });
+    }
+    return;
+  }
+
+  // Presets: list, save (create or overwrite), rename, delete and import
+  if (msg.type === 'request-presets') {
+    try {
+      figma.ui.postMessage({
+        type: 'load-presets',
+        presets: await getPresets()
+      });
+    } catch (e) {
+      console.error('Error loading presets:', e);
+    }
+    return;
+  }
+
+  if (msg.type === 'save-preset') {
+    try {
+      const name = (msg.name || '').trim();
+      if (!name) {
+        figma.notify('Please enter a preset name');
+        return;
+      }
+
+      const errors = validatePresetConfig(msg.config);
+      if (errors.length > 0) {
+        figma.notify(`Preset not saved: ${errors[0]}`, { timeout: 4000 });
+        return;
+      }
+
+      const presets = (await getPresets()).filter(preset => preset.name !== name);
+      presets.push({ name: name, config: msg.config });
+      await savePresets(presets);
+      figma.notify(`Preset "${name}" saved`);
+    } catch (e) {
+      console.error('Error saving preset:', e);
+      figma.notify(`Error saving preset: ${e.message}`);
+    }
+    return;
+  }
+
+  if (msg.type === 'rename-preset') {
+    try {
+      const newName = (msg.newName || '').trim();
+      const presets = await getPresets();
+      const preset = presets.find(p => p.name === msg.name);
+
+      if (!preset) {
+        figma.notify(`Preset "${msg.name}" not found`);
+        return;
+      }
+      if (!newName) {
+        figma.notify('Please enter a preset name');
+        return;
+      }
+      if (newName !== preset.name && presets.some(p => p.name === newName)) {
+        figma.notify(`A preset named "${newName}" already exists`);
+        return;
+      }
+
+      preset.name = newName;
+      await savePresets(presets);
+      figma.notify(`Preset renamed to "${newName}"`);
+    } catch (e) {
+      console.error('Error renaming preset:', e);
+      figma.notify(`Error renaming preset: ${e.message}`);
+    }
+    return;
+  }
+
+  if (msg.type === 'delete-preset') {
+    try {
+      const presets = await getPresets();
+      await savePresets(presets.filter(preset => preset.name !== msg.name));
+      figma.notify(`Preset "${msg.name}" deleted`);
+    } catch (e) {
+      console.error('Error deleting preset:', e);
+      figma.notify(`Error deleting preset: ${e.message}`);
+    }
+    return;
+  }
+
+  if (msg.type === 'import-presets') {
+    try {
+      const { errors, presets: imported } = parsePresetImport(msg.data);
+
+      // Nothing is imported unless the whole file is valid
+      if (errors.length > 0) {
+        figma.ui.postMessage({
+          type: 'import-presets-result',
+          errors: errors
+        });
+        return;
+      }
+
+      const importedNames = imported.map(preset => preset.name);
+      const presets = await getPresets();
+      const replacedCount = presets.filter(preset => importedNames.includes(preset.name)).length;
+      await savePresets(presets.filter(preset => !importedNames.includes(preset.name)).concat(imported));
+
+      figma.ui.postMessage({
+        type: 'import-presets-result',
+        errors: [],
+        importedNames: importedNames
+      });
+      figma.notify(`Imported ${imported.length} preset${imported.length === 1 ? '' : 's'}` +
+        (replacedCount > 0 ? ` (${replacedCount} replaced)` : ''));
+    } catch (e) {
+      console.error('Error importing presets:', e);
+      figma.ui.postMessage({
+        type: 'import-presets-result',
+        errors: [e.message]
+      });
+    }
+    return;
+  }
+
+  if (msg.type === 'create-component') {
+    try {
+      const { settings, error } = parseGenerationSettings(msg);
+      const { layout, error: layoutError } = parseLayoutOptions(msg.layout);
+      if (error || layoutError) {
+        figma.notify(error || layoutError);
+        return;
+      }
+
+      // Check if there's a selection
+      if (figma.currentPage.selection.length === 0) {
+        figma.notify('Please select at least one icon');
+        return;
+      }
+
+      const { created, report, results, summary } = await createSelectedSets(settings, layout);
+      postGenerationReport(report, results);
+      if (created.length > 0) {
+        saveLastConfig(settings);
+      }
+
+      // One message for the whole run; the per-icon summary is shown in the UI
+      figma.notify(summary.message, { error: summary.error });
+      // Plugin stays open so user can create more components
+    } catch (error) {
+      figma.notify(`Error: ${error.message}`);
+      console.error('Error creating component set:', error);
+    }
+  }
+
+  // Create a set for every icon in a frame, section or page (or retry the icons that failed)
+  if (msg.type === 'create-batch') {
+    if (batchRun) {
+      figma.notify('A batch is already running');
+      return;
+    }
+
+    const { settings, error } = parseGenerationSettings(msg);
+    const { layout, error: layoutError } = parseLayoutOptions(msg.layout);
+    if (error || layoutError) {
+      endBatchEarly(error || layoutError);
+      return;
+    }
+
+    let icons = [];
+    let container = null;
+    if (Array.isArray(msg.iconIds)) {
+      for (const id of msg.iconIds) {
+        const node = await figma.getNodeByIdAsync(id);
+        if (node && !node.removed) {
+          icons.push(node);
+        }
+      }
+    } else {
+      const batch = getBatchIcons(msg.scope);
+      if (batch.error) {
+        endBatchEarly(batch.error);
+        return;
+      }
+      icons = batch.icons;
+      container = batch.container;
+    }
+
+    if (icons.length === 0) {
+      endBatchEarly('No icons found to process');
+      return;
+    }
+
+    await processBatch(icons, settings, layout, container);
+  }
+
+  // Import SVG files as source icons and create a set for each of them, like a batch run
+  // Files the UI already rejected (not valid SVG) come in as msg.rejected; msg.files[].warnings
+  // lists what the UI noticed Figma may import badly (rasters, text, masks)
+  if (msg.type === 'import-svgs') {
+    if (batchRun) {
+      figma.notify('A batch is already running');
+      return;
+    }
+
+    const { settings, error } = parseGenerationSettings(msg);
+    const { layout, error: layoutError } = parseLayoutOptions(msg.layout);
+    if (error || layoutError) {
+      endBatchEarly(error || layoutError);
+      return;
+    }
+
+    const files = Array.isArray(msg.files) ? msg.files : [];
+    const rejected = (Array.isArray(msg.rejected) ? msg.rejected : []).map(file => ({
+      icon: file.icon,
+      success: false,
+      message: file.message
+    }));
+    const { icons, section, results } = importSvgFiles(files, layout.columns);
+    const preface = {
+      report: [],
+      results: rejected.concat(results)
+    };
+    files.forEach(file => {
+      (file.warnings || []).forEach(warning => {
+        preface.report.push({ icon: file.name, message: `Contains ${warning}` });
+      });
+    });
+
+    if (icons.length === 0) {
+      postGenerationReport(preface.report, preface.results);
+      endBatchEarly('None of the SVG files could be imported');
+      return;
+    }
+
+    await processBatch(icons, settings, layout, section, preface);
+  }
+
+  // Build an icon sheet for the selected generated sets, below the lowest of them
+  if (msg.type === 'create-icon-sheet') {
+    try {
+      const componentSets = getSelectedGeneratedSets();
+      if (componentSets.length === 0) {
+        figma.notify('Please select component sets created by Supericons');
+        return;
+      }
+
+      const { layout } = parseLayoutOptions(Object.assign({}, msg.layout, { target: 'source' }));
+      const sorted = sortComponentSets(componentSets, layout.sort);
+      const sheet = await buildIconSheet(sorted, layout.columns);
+      const boxes = componentSets.map(componentSet => componentSet.absoluteBoundingBox);
+      figma.currentPage.appendChild(sheet);
+      sheet.x = Math.min(...boxes.map(box => box.x));
+      sheet.y = Math.max(...boxes.map(box => box.y + box.height)) + LAYOUT_GAP * 2;
+
+      figma.currentPage.selection = [sheet];
+      figma.viewport.scrollAndZoomIntoView([sheet]);
+      figma.notify(`✓ Created an icon sheet with ${sorted.length} icon${sorted.length === 1 ? '' : 's'}`);
+    } catch (error) {
+      figma.notify(`Error creating icon sheet: ${error.message}`);
+      console.error('Error creating icon sheet:', error);
+    }
+  }
+
+  // Dry run: list the copies of the selected sets' source icons that would be swapped
+  if (msg.type === 'find-usages') {
+    try {
+      const entries = await getSelectedSetUsages(msg.scope);
+      figma.ui.postMessage({
+        type: 'usages',
+        sets: entries.map(({ componentSet, usages }) => ({
+          id: componentSet.id,
+          name: componentSet.name,
+          usages: usages.map(usage => ({
+            id: usage.node.id,
+            name: usage.node.name,
+            page: usage.page.name,
+            match: usage.match,
+            geometryDiffers: usage.geometryDiffers,
+            size: `${Math.round(usage.node.width * 100) / 100}×${Math.round(usage.node.height * 100) / 100}`,
+            variant: getClosestVariant(componentSet, usage.node.width, usage.node.height).name
+          }))
+        }))
+      });
+    } catch (error) {
+      figma.notify(`Error finding usages: ${error.message}`);
+      console.error('Error finding usages:', error);
+    }
+  }
+
+  // Replace the usages listed by the dry run (msg.ids) with instances
+  if (msg.type === 'swap-usages') {
+    try {
+      const ids = msg.ids || [];
+      const entries = await getSelectedSetUsages(msg.scope);
+      const failed = [];
+      let swapped = 0;
+
+      for (const { componentSet, usages } of entries) {
+        for (const usage of usages) {
+          if (!ids.includes(usage.node.id)) {
+            continue;
+          }
+          try {
+            const { variant } = swapUsage(usage.node, componentSet);
+            swapped++;
+            console.log(`✓ Swapped "${usage.node.name}" for ${componentSet.name} (${variant})`);
+          } catch (error) {
+            failed.push(usage.node.name);
+            console.error(`❌ Error swapping "${usage.node.name}":`, error);
+          }
+        }
+      }
+
+      figma.ui.postMessage({ type: 'usages', sets: [], swapped: swapped });
+      figma.notify(failed.length > 0
+        ? `⚠ Swapped ${swapped} usage(s), ${failed.length} failed: ${failed.join(', ')}`
+        : `✓ Swapped ${swapped} usage(s) for instances`);
+    } catch (error) {
+      figma.notify(`Error swapping usages: ${error.message}`);
+      console.error('Error swapping usages:', error);
+    }
+  }
+
+  // List the generated sets whose source icon was edited or deleted since they were generated
+  if (msg.type === 'check-freshness') {
+    try {
+      await postFreshness();
+    } catch (error) {
+      figma.notify(`Error checking freshness: ${error.message}`);
+      console.error('Error checking freshness:', error);
+    }
+  }
+
+  // Select a node and zoom to it, switching to its page if needed
+  if (msg.type === 'jump-to-node') {
+    const node = await figma.getNodeByIdAsync(msg.id);
+    if (!node || node.type === 'PAGE' || node.type === 'DOCUMENT') {
+      figma.notify('That layer no longer exists');
+      return;
+    }
+    const page = getNodePage(node);
+    if (page && page !== figma.currentPage) {
+      await figma.setCurrentPageAsync(page);
+    }
+    figma.currentPage.selection = [node];
+    figma.viewport.scrollAndZoomIntoView([node]);
+  }
+
+  // Regenerate out of date sets (msg.ids) from their current source icons, then check freshness again
+  if (msg.type === 'regenerate-sets') {
+    try {
+      const report = [];
+      const results = [];
+      const regenerated = [];
+
+      for (const id of msg.ids || []) {
+        const componentSet = await figma.getNodeByIdAsync(id);
+        if (!componentSet || componentSet.type !== 'COMPONENT_SET') {
+          continue;
+        }
+        try {
+          const summary = await regenerateSet(componentSet, report);
+          regenerated.push(componentSet);
+          results.push({
+            icon: componentSet.name,
+            success: true,
+            message: `${summary.updated} variants re-rendered${getOverrideNote(summary)}`
+          });
+          console.log(`🔄 Regenerated ${componentSet.name}`);
+        } catch (setError) {
+          console.error(`❌ Error regenerating ${componentSet.name}:`, setError);
+          results.push({ icon: componentSet.name, success: false, message: setError.message });
+        }
+      }
+
+      if (regenerated.length > 0) {
+        await refreshIconSheets(regenerated);
+      }
+      postGenerationReport(report, results);
+      await postFreshness();
+
+      const failedCount = results.length - regenerated.length;
+      figma.notify(failedCount > 0
+        ? `⚠ Regenerated ${regenerated.length} set(s), ${failedCount} failed - see the summary`
+        : `✓ Regenerated ${regenerated.length} set(s)`, { error: failedCount > 0 });
+    } catch (error) {
+      figma.notify(`Error regenerating sets: ${error.message}`);
+      console.error('Error regenerating sets:', error);
+    }
+  }
+
+  // Stop the running batch before its next icon
+  if (msg.type === 'cancel-batch') {
+    if (batchRun) {
+      batchRun.cancelled = true;
+    }
+  }
+
+  // Update previously generated component sets in place
+  if (msg.type === 'update-component-set') {
+    try {
+      const { settings, error } = parseGenerationSettings(msg);
+      if (error) {
+        figma.notify(error);
+        return;
+      }
+
+      const componentSets = getSelectedGeneratedSets();
+      if (componentSets.length === 0) {
+        figma.notify('Please select a component set created by Supericons');
+        return;
+      }
+
+      const totals = { added: 0, removed: 0, updated: 0 };
+      const report = [];
+      const results = [];
+      let failedCount = 0;
+
+      for (const componentSet of componentSets) {
+        try {
+          const summary = await updateGeneratedSet(componentSet, settings, report);
+          totals.added += summary.added;
+          totals.removed += summary.removed;
+          totals.updated += summary.updated;
+          results.push({
+            icon: componentSet.name,
+            success: true,
+            message: `${summary.added} added, ${summary.removed} removed, ${summary.updated} re-rendered${getOverrideNote(summary)}`
+          });
+        } catch (setError) {
+          failedCount++;
+          console.error(`Error updating ${componentSet.name}:`, setError);
+          results.push({ icon: componentSet.name, success: false, message: setError.message });
+        }
+      }
+
+      // Icon sheets showing these sets are rebuilt so their labels and sizes stay current
+      try {
+        const rebuilt = await refreshIconSheets(componentSets);
+        if (rebuilt > 0) {
+          console.log(`✓ Rebuilt ${rebuilt} icon sheet(s)`);
+        }
+      } catch (sheetError) {
+        console.error('Error rebuilding icon sheets:', sheetError);
+      }
+
+      // Refresh the UI so it sees the new recorded settings
+      postSelectionState();
+      postGenerationReport(report, results);
+
+      const updatedCount = componentSets.length - failedCount;
+      if (updatedCount > 0) {
+        figma.notify(`Updated ${updatedCount} component set${updatedCount === 1 ? '' : 's'}: ` +
+          `${totals.added} added, ${totals.removed} removed, ${totals.updated} re-rendered`);
+      } else {
+        figma.notify('No component sets could be updated - see the summary', { error: true });
+      }
+    } catch (error) {
+      figma.notify(`Error: ${error.message}`);
+      console.error('Error updating component set:', error);
+    }
+  }
+
+  // Export the selected generated sets; the UI turns the SVG markup into the requested files
+  // target is sent back so the UI knows which download the markup is for
+  if (msg.type === 'export-svg') {
+    try {
+      const componentSets = getSelectedGeneratedSets();
+      if (componentSets.length === 0) {
+        figma.notify('Please select a component set created by Supericons');
+        return;
+      }
+
+      const sets = await exportGeneratedSetsSvg(componentSets, { png: !!msg.png });
+      figma.ui.postMessage({ type: 'svg-export', target: msg.target, sets: sets });
+    } catch (error) {
+      figma.notify(`Error exporting SVG: ${error.message}`);
+      console.error('Error exporting SVG:', error);
+    }
+  }
+
+  // Icon font from the selected generated sets, built by the UI from one glyph per set
+  if (msg.type === 'export-font') {
+    try {
+      const componentSets = getSelectedGeneratedSets();
+      if (componentSets.length === 0) {
+        figma.notify('Please select a component set created by Supericons');
+        return;
+      }
+
+      const glyphs = await exportFontGlyphs(componentSets);
+      console.log(`🔤 Exported ${glyphs.length} font glyph${glyphs.length === 1 ? '' : 's'}`);
+      figma.ui.postMessage({ type: 'font-export', glyphs: glyphs });
+    } catch (error) {
+      figma.notify(`Error exporting font: ${error.message}`);
+      console.error('Error exporting font:', error);
+    }
+  }
+
+  // Preview of the variants, requested by the UI on Refresh or once the settings or selection settled
+  if (msg.type === 'request-preview') {
+    if (generationsRunning > 0) {
+      figma.ui.postMessage({ type: 'preview', message: 'Preview paused while sets are generated - press Refresh when they are done', icons: [] });
+      return;
+    }
+    const requestId = ++previewRequestId;
+    try {
+      await postPreview(msg, requestId);
+    } catch (error) {
+      console.error('Error rendering preview:', error);
+      figma.ui.postMessage({ type: 'preview', error: error.message, icons: [] });
+    }
+  }
+
+  // Check the selected icons (or every icon in a selected frame or section) for problems
+  if (msg.type === 'run-audit') {
+    try {
+      const targets = getAuditTargets(figma.currentPage.selection);
+      if (targets.length === 0) {
+        figma.notify('Please select icons, or a frame or section of icons, to audit');
+        return;
+      }
+
+      const icons = await postAuditResult(targets.map(node => node.id), msg);
+      const issueCount = icons.reduce((total, icon) => total + icon.issues.length, 0);
+      figma.notify(issueCount === 0
+        ? `✓ No issues found in ${icons.length} icon(s)`
+        : `Found ${issueCount} issue(s) in ${icons.filter(icon => icon.issues.length > 0).length} of ${icons.length} icon(s)`);
+    } catch (error) {
+      figma.notify(`Error running audit: ${error.message}`);
+      console.error('Error running audit:', error);
+    }
+  }
+
+  // Apply one or more audit fixes ({ iconId, rule } pairs), then audit the same icons again
+  if (msg.type === 'fix-audit') {
+    const failed = [];
+    let fixedCount = 0;
+    const iconIds = lastAuditIconIds.slice();
+    const fixes = (msg.fixes || []).slice().sort((a, b) => AUDIT_RULES.indexOf(a.rule) - AUDIT_RULES.indexOf(b.rule));
+
+    for (const fix of fixes) {
+      const node = await figma.getNodeByIdAsync(fix.iconId);
+      if (!node) {
+        continue;
+      }
+      try {
+        const fixedNode = await fixAuditIssue(node, fix.rule);
+        if (fixedNode !== node) {
+          // The icon was replaced (outlining a single shape): audit the new node from now on
+          fixes.forEach(other => {
+            if (other.iconId === fix.iconId) {
+              other.iconId = fixedNode.id;
+            }
+          });
+          iconIds[iconIds.indexOf(fix.iconId)] = fixedNode.id;
+        }
+        fixedCount++;
+        console.log(`✓ Fixed ${fix.rule} on:`, node.name);
+      } catch (error) {
+        failed.push(`${node.name} (${fix.rule}): ${error.message}`);
+        console.error(`❌ Error fixing ${fix.rule} on:`, node.name, error);
+      }
+    }
+
+    try {
+      await postAuditResult(iconIds, msg);
+    } catch (error) {
+      console.error('Error running audit:', error);
+    }
+
+    if (failed.length > 0) {
+      figma.notify(`⚠ Fixed ${fixedCount} issue(s), ${failed.length} failed: ${failed.join('; ')}`);
+    } else {
+      figma.notify(`✓ Fixed ${fixedCount} issue(s)`);
+    }
+  }
+
+  // Resolved set and variant names for the current selection, shown under the name field
+  if (msg.type === 'request-names') {
+    const { settings, error } = parseGenerationSettings(msg);
+    if (error) {
+      figma.ui.postMessage({ type: 'name-preview', error: error, names: [], variants: [] });
+      return;
+    }
+    figma.ui.postMessage({
+      type: 'name-preview',
+      names: getSetNames(settings.componentName, groupIconMasters(figma.currentPage.selection).icons),
+      variants: settings.variants.map(variant => variant.name)
+    });
+  }
+
+  // Send icons.json for every generated set in the document; the UI downloads it
+  if (msg.type === 'export-manifest') {
+    try {
+      const manifest = await buildIconManifest();
+      if (manifest.sets.length === 0) {
+        figma.notify('There are no Supericons sets in this file yet');
+        return;
+      }
+      figma.ui.postMessage({ type: 'icon-manifest', manifest: manifest });
+      figma.notify(`✓ Exported ${manifest.sets.length} set(s) to icons.json`);
+    } catch (error) {
+      figma.notify(`Error exporting the manifest: ${error.message}`);
+      console.error('Error exporting the manifest:', error);
+    }
+  }
+
+  // Store the search keywords typed for an icon (comma separated)
+  if (msg.type === 'set-keywords') {
+    const node = await figma.getNodeByIdAsync(msg.id);
+    if (!node) {
+      figma.notify('That layer no longer exists');
+      return;
+    }
+    node.setPluginData(ICON_KEYWORDS_KEY, String(msg.keywords || '').trim());
+  }
+
+  // Mark a drawing as the master for a size (an empty size goes back to the size in its name)
+  if (msg.type === 'set-master-size') {
+    const node = await figma.getNodeByIdAsync(msg.id);
+    if (!node) {
+      figma.notify('That layer no longer exists');
+      return;
+    }
+    node.setPluginData(MASTER_SIZE_KEY, msg.size > 0 ? String(msg.size) : '');
+    postSelectionState();
+  }
+
+  // Colors used by the selected icons, and the variables and styles they can be bound to
+  if (msg.type === 'request-colors') {
+    try {
+      const counts = new Map();
+      const { icons: sources } = await getPreviewSources(figma.currentPage.selection);
+      sources.forEach(source => collectSolidColors(source, counts));
+
+      const colors = Array.from(counts.entries())
+        .sort((a, b) => b[1] - a[1])
+        .map(([color, count]) => ({ color: color, count: count }));
+      figma.ui.postMessage({ type: 'color-tokens', colors: colors, tokens: await getColorTokens() });
+    } catch (error) {
+      console.error('Error loading colors:', error);
+    }
+  }
+
+  // Short confirmations for things that happen in the UI (like copying code)
+  if (msg.type === 'notify') {
+    figma.notify(msg.message);
+  }
+
+  if (msg.type === 'cancel') {
+    figma.closePlugin();
+  }
+}